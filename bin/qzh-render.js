@@ -0,0 +1,289 @@
+#!/usr/bin/env node
+/**
+ * QZH Render
+ * Renders a directory of TEI files to static HTML pages, one per document,
+ * with the markup of the preview, plus an index page. Authority files
+ * (JSON or TEI lists) in the directory resolve the registers like a folder
+ * dropped into the preview. Exits with 1 if a file cannot be parsed.
+ *
+ * Usage: qzh-render <input-dir> [<output-dir>] [--normalized]
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const QZHParser = require('../js/parser.js');
+
+const ROOT = path.join(__dirname, '..');
+
+// Browser modules rendering metadata, registers, footnotes and apparatus
+const RENDER_SCRIPTS = ['authority.js', 'apparatus.js', 'app.js'];
+
+/**
+ * Parse the command line
+ */
+function parseArgs(argv) {
+    const options = { normalized: false, input: null, output: 'html' };
+    const positional = [];
+
+    for (const arg of argv) {
+        if (arg === '--normalized' || arg === '-n') {
+            options.normalized = true;
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else {
+            positional.push(arg);
+        }
+    }
+
+    options.input = positional[0] || null;
+    if (positional[1]) {
+        options.output = positional[1];
+    }
+    return options;
+}
+
+/**
+ * Create a window with the render modules of the preview. The parser
+ * itself runs in Node and only borrows the window's DOMParser.
+ */
+async function createWindow() {
+    const dom = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', { runScripts: 'dangerously' });
+    const window = dom.window;
+
+    // Loaded after the document is ready, so the modules do not initialize the app
+    await new Promise(resolve => window.addEventListener('load', resolve));
+
+    QZHParser.useDOM(window);
+    window.QZHParser = QZHParser;
+
+    // As script elements, so the modules share the global scope as in the browser
+    for (const name of RENDER_SCRIPTS) {
+        const script = window.document.createElement('script');
+        script.textContent = fs.readFileSync(path.join(ROOT, 'js', name), 'utf8');
+        window.document.head.appendChild(script);
+    }
+    return window;
+}
+
+/**
+ * Render one document page
+ */
+function renderPage(window, result, filename, normalized) {
+    const QZHApp = window.eval('QZHApp');
+    const QZHApparatus = window.eval('QZHApparatus');
+
+    const heading = result.heading || {};
+    const idno = heading.idno || QZHApp.extractIdFromFilename(filename);
+    const title = heading.title || 'Dokument';
+
+    // Edition text as in renderDocument: body, footnotes, apparatus
+    let body = result.body || '<p class="no-content">Kein Inhalt vorhanden</p>';
+    if (result.footnotes && result.footnotes.length > 0) {
+        body += QZHApp.renderFootnotesHTML(result.footnotes, result.texts);
+    }
+    body += QZHApparatus.renderHTML(result.apparatus, result.texts);
+
+    return `<!DOCTYPE html>
+<html lang="de">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHTML(idno)} – ${escapeHTML(title)}</title>
+<link rel="stylesheet" href="styles.css">
+</head>
+<body>
+<div class="qzh-page">
+    <div class="qzh-title-section">
+        <div class="qzh-title-inner">
+            <div class="qzh-doc-id"><a href="index.html">Übersicht</a> · ${escapeHTML(idno)}</div>
+            <h1 class="qzh-doc-title">${escapeHTML(title)}</h1>
+            <div class="qzh-doc-date">${escapeHTML(heading.date || '')}</div>
+        </div>
+    </div>
+    <div class="qzh-content">
+        <div class="qzh-content-inner">
+            <main class="qzh-main">
+                <section>
+                    <h2 class="qzh-section-title">Stückbeschreibung</h2>
+                    <div class="qzh-metadata">${result.metadata ? QZHApp.renderMetadata(result.metadata) : '<p class="no-metadata">Keine Metadaten vorhanden</p>'}</div>
+                </section>
+                <section>
+                    <h2 class="qzh-section-title">Regest</h2>
+                    <div class="qzh-regest">${result.summary || '<p class="no-content">Kein Regest vorhanden</p>'}</div>
+                </section>
+                <section>
+                    <h2 class="qzh-section-title">Editionstext</h2>
+                    <!-- Without scripts there are no tooltips, the apparatus is always shown -->
+                    <div class="qzh-edition-columns show-apparatus">
+                        <div class="qzh-edition body${normalized ? ' normalized' : ''}">${body}</div>
+                    </div>
+                </section>
+                <section>
+                    <h2 class="qzh-section-title">Kommentar</h2>
+                    <div class="qzh-comment">${result.back || '<p class="no-content">Kein Kommentar vorhanden</p>'}</div>
+                </section>
+            </main>
+            <aside class="qzh-sidebar qzh-sidebar-right">
+                <div class="qzh-registers">${result.registers ? QZHApp.renderRegisters(result.registers, result.metadata) : ''}</div>
+            </aside>
+        </div>
+    </div>
+</div>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render the index page listing all documents
+ */
+function renderIndex(pages) {
+    const rows = pages.map(page => `
+                    <li class="qzh-document-item">
+                        <a href="${escapeHTML(page.href)}">
+                            <span class="qzh-document-idno">${escapeHTML(page.idno)}</span>
+                            <span class="qzh-document-title">${escapeHTML(page.title)}</span>
+                            ${page.date ? `<span class="qzh-document-date">${escapeHTML(page.date)}</span>` : ''}
+                        </a>
+                    </li>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="de">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>Dokumente</title>
+<link rel="stylesheet" href="styles.css">
+</head>
+<body>
+<div class="qzh-page">
+    <div class="qzh-title-section">
+        <div class="qzh-title-inner">
+            <h1 class="qzh-doc-title">Dokumente</h1>
+            <div class="qzh-doc-date">${pages.length} ${pages.length === 1 ? 'Dokument' : 'Dokumente'}</div>
+        </div>
+    </div>
+    <div class="qzh-content">
+        <div class="qzh-content-inner">
+            <main class="qzh-main">
+                <ul class="qzh-document-list">${rows}
+                </ul>
+            </main>
+        </div>
+    </div>
+</div>
+</body>
+</html>
+`;
+}
+
+/**
+ * Escape HTML, for text and attributes
+ */
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Render all documents of the input directory
+ */
+async function main(argv) {
+    const options = parseArgs(argv);
+    if (options.help || !options.input) {
+        console.log('Usage: qzh-render <input-dir> [<output-dir>] [--normalized]');
+        return options.help ? 0 : 2;
+    }
+
+    if (!fs.existsSync(options.input) || !fs.statSync(options.input).isDirectory()) {
+        console.error(`qzh-render: ${options.input} is not a directory`);
+        return 2;
+    }
+
+    const files = fs.readdirSync(options.input)
+        .filter(name => /\.(xml|json)$/i.test(name))
+        .sort((a, b) => a.localeCompare(b, 'de', { numeric: true }));
+
+    const window = await createWindow();
+    const QZHAuthority = window.eval('QZHAuthority');
+    const QZHApp = window.eval('QZHApp');
+
+    const errors = [];
+    const documents = [];
+
+    // Authority files first, so all documents resolve against them
+    for (const name of files) {
+        const text = fs.readFileSync(path.join(options.input, name), 'utf8');
+        if (name.toLowerCase().endsWith('.json')) {
+            try {
+                QZHAuthority.load(text, name);
+            } catch (err) {
+                // Other JSON (e.g. the sample manifest) is not an error
+                if (err.name === 'SyntaxError') {
+                    errors.push(`${name}: ${err.message}`);
+                } else {
+                    console.log(`qzh-render: ${name} skipped, no authority data`);
+                }
+            }
+            continue;
+        }
+
+        try {
+            const xmlDoc = QZHParser.parse(text);
+            if (QZHAuthority.isAuthorityDocument(xmlDoc)) {
+                QZHAuthority.loadDocument(xmlDoc, name);
+            } else {
+                documents.push({ name, xmlDoc });
+            }
+        } catch (err) {
+            errors.push(`${name}: ${err.message}`);
+        }
+    }
+
+    fs.mkdirSync(options.output, { recursive: true });
+    fs.copyFileSync(path.join(ROOT, 'css', 'styles.css'), path.join(options.output, 'styles.css'));
+
+    const pages = [];
+    for (const { name, xmlDoc } of documents) {
+        try {
+            const result = QZHParser.transform(xmlDoc, { normalized: options.normalized });
+            const href = name.replace(/\.xml$/i, '.html');
+            fs.writeFileSync(path.join(options.output, href), renderPage(window, result, name, options.normalized));
+
+            const heading = result.heading || {};
+            pages.push({
+                href,
+                idno: heading.idno || QZHApp.extractIdFromFilename(name),
+                title: heading.title || name,
+                date: heading.date || ''
+            });
+        } catch (err) {
+            errors.push(`${name}: ${err.message}`);
+        }
+    }
+
+    fs.writeFileSync(path.join(options.output, 'index.html'), renderIndex(pages));
+    window.close();
+
+    console.log(`qzh-render: ${pages.length} of ${documents.length} documents written to ${options.output}`);
+    for (const error of errors) {
+        console.error(`qzh-render: ${error}`);
+    }
+    return errors.length > 0 ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(
+    code => { process.exitCode = code; },
+    err => {
+        console.error(`qzh-render: ${err.message}`);
+        process.exitCode = 1;
+    }
+);
@@ -0,0 +1,664 @@
+/**
+ * QZH Annotation Mode
+ * Tags text selected in the edition text as persName, placeName, orgName
+ * or term, optionally with a ref already used in the registers. Changes go
+ * into the XML of the document and are rendered again; they can be undone
+ * and downloaded. Untagged strings matching tagged persons and places are
+ * offered as suggestions.
+ */
+
+const QZHAnnotation = (function() {
+    'use strict';
+
+    const TEI_NS = 'http://www.tei-c.org/ns/1.0';
+
+    // Rendered text where selections can be tagged
+    const AREA_SELECTOR = '#documentBody, #documentBodyNormalized';
+
+    // Register of the refs offered for each element
+    const REGISTERS = {
+        persName: 'persons',
+        placeName: 'places',
+        orgName: 'organizations',
+        term: 'terms'
+    };
+
+    // Registers searched for untagged names
+    const SUGGESTED = ['persName', 'placeName'];
+
+    // Text inside these elements is not suggested
+    const TAGGED_ELEMENTS = ['persName', 'placeName', 'orgName', 'term', 'teiHeader', 'expan', 'reg'];
+
+    // A tag must not span these elements
+    const BLOCK_ELEMENTS = ['body', 'back', 'div', 'p', 'ab', 'head', 'lg', 'l', 'list', 'item', 'table', 'row', 'cell', 'note', 'opener', 'closer', 'dateline', 'signed', 'fw'];
+
+    const MIN_SUGGESTION_LENGTH = 3;
+    const MAX_SUGGESTIONS = 100;
+    const SNIPPET_CONTEXT = 25;
+
+    const ELEMENT_NODE = 1;
+    const TEXT_NODE = 3;
+
+    let barEl, toggleBtn, selectionEl, typeEl, refEl, applyBtn, undoBtn, redoBtn, downloadBtn, errorEl;
+    let suggestionsEl, suggestionCountEl, suggestionListEl, suggestionAllBtn;
+
+    // Source range of the current selection
+    let selectedRange = null;
+
+    // Untagged occurrences of tagged names
+    let suggestions = [];
+
+    // Undo and redo stacks of the annotated document, as XML strings
+    let history = { doc: null, xml: '', undo: [], redo: [] };
+
+    /**
+     * Initialize annotation mode
+     */
+    function init() {
+        barEl = document.getElementById('annotationBar');
+        toggleBtn = document.getElementById('annotateBtn');
+
+        if (!barEl || !toggleBtn) {
+            return;
+        }
+
+        selectionEl = document.getElementById('annotationSelection');
+        typeEl = document.getElementById('annotationType');
+        refEl = document.getElementById('annotationRef');
+        applyBtn = document.getElementById('annotationApply');
+        undoBtn = document.getElementById('annotationUndo');
+        redoBtn = document.getElementById('annotationRedo');
+        downloadBtn = document.getElementById('annotationDownload');
+        errorEl = document.getElementById('annotationError');
+        suggestionsEl = document.getElementById('annotationSuggestions');
+        suggestionCountEl = document.getElementById('annotationSuggestionCount');
+        suggestionListEl = document.getElementById('annotationSuggestionList');
+        suggestionAllBtn = document.getElementById('annotationSuggestionAll');
+
+        toggleBtn.addEventListener('click', function() {
+            if (isActive()) {
+                close();
+            } else {
+                open();
+            }
+        });
+
+        typeEl.addEventListener('change', renderRefs);
+        applyBtn.addEventListener('click', applySelection);
+        undoBtn.addEventListener('click', undo);
+        redoBtn.addEventListener('click', redo);
+        downloadBtn.addEventListener('click', download);
+
+        suggestionListEl.addEventListener('click', function(e) {
+            const button = e.target.closest('.qzh-annotation-suggestion-apply');
+            if (button) {
+                applySuggestions([suggestions[parseInt(button.getAttribute('data-index'), 10)]]);
+            }
+        });
+        suggestionAllBtn.addEventListener('click', () => applySuggestions(suggestions));
+
+        document.addEventListener('selectionchange', handleSelectionChange);
+
+        document.addEventListener('keydown', function(e) {
+            if (!isActive() || !(e.ctrlKey || e.metaKey) || isTyping(e.target)) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                redo();
+            }
+        });
+    }
+
+    /**
+     * Whether annotation mode is on
+     */
+    function isActive() {
+        return Boolean(barEl && !barEl.classList.contains('hidden'));
+    }
+
+    /**
+     * Switch annotation mode on
+     */
+    function open() {
+        if (!QZHApp.getActiveDocument()) return;
+
+        barEl.classList.remove('hidden');
+        document.body.classList.add('qzh-annotating');
+        toggleBtn.setAttribute('aria-pressed', 'true');
+        QZHApp.selectTab('edition');
+        update();
+    }
+
+    /**
+     * Switch annotation mode off
+     */
+    function close() {
+        if (!barEl) return;
+
+        barEl.classList.add('hidden');
+        document.body.classList.remove('qzh-annotating');
+        toggleBtn.setAttribute('aria-pressed', 'false');
+        setSelection(null);
+    }
+
+    /**
+     * Follow the rendered document: refs, suggestions and history
+     */
+    function update() {
+        if (!isActive()) return;
+
+        const doc = QZHApp.getActiveDocument();
+        if (!doc) {
+            close();
+            return;
+        }
+
+        // Edited elsewhere (or another document): the history no longer applies
+        if (history.doc !== doc || history.xml !== doc.xml) {
+            history = { doc: doc, xml: doc.xml, undo: [], redo: [] };
+        }
+
+        setSelection(null);
+        showError('');
+        renderRefs();
+        renderSuggestions(doc);
+        updateHistoryButtons();
+    }
+
+    /**
+     * Offer the refs of the register matching the chosen element
+     */
+    function renderRefs() {
+        const doc = QZHApp.getActiveDocument();
+        const registers = doc ? QZHApp.getResult(doc).registers : null;
+        const entries = registers ? registers[REGISTERS[typeEl.value]] || [] : [];
+        const current = refEl.value;
+
+        refEl.innerHTML = '<option value="">ohne Referenz</option>' + entries
+            .filter(entry => entry.ref)
+            .map(entry => `<option value="${escapeAttr(entry.ref)}">${escapeHTML(entry.name)} – ${escapeHTML(entry.ref)}</option>`)
+            .join('');
+
+        if (Array.from(refEl.options).some(option => option.value === current)) {
+            refEl.value = current;
+        }
+    }
+
+    /**
+     * Map a new selection in the edition text to the XML
+     */
+    function handleSelectionChange() {
+        if (!isActive()) return;
+
+        const selection = window.getSelection();
+        if (!selection || selection.rangeCount === 0) return;
+
+        const range = selection.getRangeAt(0);
+        const area = closestElement(range.commonAncestorContainer, AREA_SELECTOR);
+
+        if (selection.isCollapsed) {
+            // A click into the text drops the selection, one into the toolbar keeps it
+            if (area) {
+                setSelection(null);
+            }
+            return;
+        }
+        if (!area) return;
+
+        const doc = QZHApp.getActiveDocument();
+        const source = doc ? mapRange(range, doc.xmlDoc) : null;
+        setSelection(source, source ? '' : 'Die Auswahl lässt sich keiner Stelle im XML zuordnen. Sie muss innerhalb eines Absatzes liegen.');
+    }
+
+    /**
+     * Remember the selected source range and show it
+     */
+    function setSelection(range, message) {
+        selectedRange = range;
+        applyBtn.disabled = !range;
+
+        if (range) {
+            selectionEl.textContent = `«${range.toString().replace(/\s+/g, ' ')}»`;
+            selectionEl.classList.remove('empty');
+        } else {
+            selectionEl.textContent = message || 'Text im Editionstext markieren';
+            selectionEl.classList.add('empty');
+        }
+    }
+
+    /**
+     * Map a range in the rendered text to a range in the XML. Both ends
+     * must lie in the same source element; an end inside a child element
+     * takes in the whole child.
+     */
+    function mapRange(range, xmlDoc) {
+        let container = range.commonAncestorContainer;
+        if (container.nodeType !== ELEMENT_NODE) {
+            container = container.parentNode;
+        }
+
+        const stamped = container.closest('[data-node-id]');
+        const parent = stamped && QZHParser.findNodeById(xmlDoc, parseInt(stamped.getAttribute('data-node-id'), 10));
+        if (!parent) return null;
+
+        const start = mapBoundary(container, parent, range.startContainer, range.startOffset, true);
+        const end = mapBoundary(container, parent, range.endContainer, range.endOffset, false);
+        if (!start || !end) return null;
+
+        const source = xmlDoc.createRange();
+        try {
+            source.setStart(start.node, start.offset);
+            source.setEnd(end.node, end.offset);
+        } catch (err) {
+            return null;
+        }
+
+        trimRange(source);
+        if (source.collapsed || !source.toString().trim() || spansBlock(source)) {
+            return null;
+        }
+        return source;
+    }
+
+    /**
+     * Map one end of a rendered range to a boundary in the source element
+     */
+    function mapBoundary(container, parent, node, offset, isStart) {
+        // Text directly in the container keeps its offset
+        if (node.nodeType === TEXT_NODE && node.parentNode === container) {
+            const text = matchText(container, parent, node);
+            return text ? { node: text, offset: Math.min(offset, text.length) } : null;
+        }
+
+        let child;
+        if (node === container) {
+            child = isStart ? container.childNodes[offset] : container.childNodes[offset - 1];
+        } else {
+            child = node;
+            while (child && child.parentNode !== container) {
+                child = child.parentNode;
+            }
+        }
+
+        // Skip markup added by the rendering (line numbers, hyphens, apparatus letters)
+        while (child) {
+            const boundary = mapChild(container, parent, child, isStart);
+            if (boundary) return boundary;
+            child = isStart ? child.nextSibling : child.previousSibling;
+        }
+        return null;
+    }
+
+    /**
+     * Boundary before (start) or after (end) the source of a rendered child
+     */
+    function mapChild(container, parent, child, isStart) {
+        if (child.nodeType === TEXT_NODE) {
+            const text = matchText(container, parent, child);
+            return text ? { node: text, offset: isStart ? 0 : text.length } : null;
+        }
+
+        if (child.nodeType !== ELEMENT_NODE || !child.hasAttribute('data-node-id')) {
+            return null;
+        }
+
+        let source = QZHParser.findNodeById(parent.ownerDocument, parseInt(child.getAttribute('data-node-id'), 10));
+        while (source && source.parentNode !== parent) {
+            source = source.parentNode;
+        }
+        if (!source) return null;
+
+        const index = Array.prototype.indexOf.call(parent.childNodes, source);
+        return { node: parent, offset: isStart ? index : index + 1 };
+    }
+
+    /**
+     * Find the source text node of a rendered text node
+     */
+    function matchText(container, parent, text) {
+        const rendered = Array.from(container.childNodes).filter(n => n.nodeType === TEXT_NODE);
+        const sources = Array.from(parent.childNodes).filter(n => n.nodeType === TEXT_NODE);
+
+        const candidate = sources[rendered.indexOf(text)];
+        if (candidate && candidate.data === text.data) {
+            return candidate;
+        }
+
+        // Text merged or split by the rendering: only an unambiguous match counts
+        const matches = sources.filter(n => n.data === text.data);
+        return matches.length === 1 ? matches[0] : null;
+    }
+
+    /**
+     * Leave out whitespace at both ends of a range
+     */
+    function trimRange(range) {
+        if (range.startContainer.nodeType === TEXT_NODE) {
+            const data = range.startContainer.data;
+            let offset = range.startOffset;
+            while (offset < data.length && /\s/.test(data[offset])) offset++;
+            range.setStart(range.startContainer, offset);
+        }
+        if (range.endContainer.nodeType === TEXT_NODE) {
+            const data = range.endContainer.data;
+            let offset = range.endOffset;
+            while (offset > 0 && /\s/.test(data[offset - 1])) offset--;
+            if (range.endContainer !== range.startContainer || offset >= range.startOffset) {
+                range.setEnd(range.endContainer, offset);
+            }
+        }
+    }
+
+    /**
+     * Whether a range contains structural elements
+     */
+    function spansBlock(range) {
+        return Array.from(range.cloneContents().querySelectorAll('*'))
+            .some(el => BLOCK_ELEMENTS.includes(el.localName));
+    }
+
+    /**
+     * Tag the selected text
+     */
+    function applySelection() {
+        if (!selectedRange) return;
+
+        const range = selectedRange;
+        change(function() {
+            wrap(range, typeEl.value, refEl.value);
+        });
+    }
+
+    /**
+     * Wrap a source range in a new element
+     */
+    function wrap(range, name, ref) {
+        const element = range.startContainer.ownerDocument.createElementNS(TEI_NS, name);
+        if (ref) {
+            element.setAttribute('ref', ref);
+        }
+        range.surroundContents(element);
+    }
+
+    /**
+     * Change the XML of the active document and render it again. The
+     * document is parsed anew from the serialized XML, so node ids and
+     * results match the changed tree.
+     */
+    function change(modify) {
+        const doc = QZHApp.getActiveDocument();
+        if (!doc) return;
+
+        const before = doc.xml;
+        try {
+            modify(doc.xmlDoc);
+            setXML(doc, serialize(doc));
+            history.undo.push(before);
+            history.redo = [];
+            updateHistoryButtons();
+        } catch (err) {
+            // Restore the unchanged tree
+            setXML(doc, before);
+            showError('Auszeichnen nicht möglich: ' + err.message);
+        }
+    }
+
+    /**
+     * Serialize the tree of a document, keeping the prolog (declaration,
+     * processing instructions, comments) and line endings as written
+     */
+    function serialize(doc) {
+        const start = doc.xml.search(/<(?![?!])/);
+        const end = doc.xml.search(/\s*$/);
+        const prolog = start >= 0 ? doc.xml.substring(0, start) : '';
+
+        let root = new XMLSerializer().serializeToString(doc.xmlDoc.documentElement);
+        if (doc.xml.includes('\r\n')) {
+            root = root.replace(/\n/g, '\r\n');
+        }
+        return prolog + root + doc.xml.substring(end);
+    }
+
+    /**
+     * Show a new state of the document
+     */
+    function setXML(doc, xml) {
+        history.xml = xml;
+        QZHApp.updateDocument(doc, xml);
+    }
+
+    /**
+     * Undo the last change
+     */
+    function undo() {
+        const doc = QZHApp.getActiveDocument();
+        if (!doc || history.undo.length === 0) return;
+
+        history.redo.push(doc.xml);
+        setXML(doc, history.undo.pop());
+    }
+
+    /**
+     * Redo the last undone change
+     */
+    function redo() {
+        const doc = QZHApp.getActiveDocument();
+        if (!doc || history.redo.length === 0) return;
+
+        history.undo.push(doc.xml);
+        setXML(doc, history.redo.pop());
+    }
+
+    /**
+     * Enable undo and redo when there is something to undo or redo
+     */
+    function updateHistoryButtons() {
+        undoBtn.disabled = history.undo.length === 0;
+        redoBtn.disabled = history.redo.length === 0;
+    }
+
+    /**
+     * Find untagged occurrences of tagged person and place names
+     */
+    function findSuggestions(doc) {
+        const registers = QZHApp.getResult(doc).registers;
+        const names = [];
+        for (const name of SUGGESTED) {
+            for (const entry of registers[REGISTERS[name]] || []) {
+                for (const text of [entry.name, ...entry.variants]) {
+                    if (text.length >= MIN_SUGGESTION_LENGTH && !names.some(n => n.text === text)) {
+                        names.push({ text, name, ref: entry.ref || '' });
+                    }
+                }
+            }
+        }
+        if (names.length === 0) return [];
+
+        // Longer names first, so «Hans Meyer» wins over «Meyer»
+        names.sort((a, b) => b.text.length - a.text.length);
+
+        const found = [];
+        const bodies = doc.xmlDoc.getElementsByTagNameNS(TEI_NS, 'body');
+        for (const body of Array.from(bodies)) {
+            const walker = doc.xmlDoc.createTreeWalker(body, NodeFilter.SHOW_TEXT);
+            let text;
+            while ((text = walker.nextNode()) && found.length < MAX_SUGGESTIONS) {
+                if (!isTagged(text)) {
+                    findInText(text, names, found);
+                }
+            }
+        }
+        return found.slice(0, MAX_SUGGESTIONS);
+    }
+
+    /**
+     * Collect the names occurring as whole words in a text node
+     */
+    function findInText(text, names, found) {
+        const data = text.data;
+        const taken = [];
+
+        for (const entry of names) {
+            let index = data.indexOf(entry.text);
+            while (index >= 0) {
+                const end = index + entry.text.length;
+                const overlaps = taken.some(t => index < t.end && end > t.start);
+                if (!overlaps && isWordBoundary(data, index - 1) && isWordBoundary(data, end)) {
+                    taken.push({ start: index, end });
+                    found.push({ node: text, start: index, end, name: entry.name, ref: entry.ref, text: entry.text });
+                }
+                index = data.indexOf(entry.text, index + 1);
+            }
+        }
+    }
+
+    /**
+     * Whether the character at a position does not continue a word
+     */
+    function isWordBoundary(data, index) {
+        return index < 0 || index >= data.length || !/[\p{L}\p{N}]/u.test(data[index]);
+    }
+
+    /**
+     * Whether a text node is already inside a name, term or alternative reading
+     */
+    function isTagged(node) {
+        let parent = node.parentNode;
+        while (parent && parent.nodeType === ELEMENT_NODE) {
+            if (TAGGED_ELEMENTS.includes(parent.localName)) return true;
+            parent = parent.parentNode;
+        }
+        return false;
+    }
+
+    /**
+     * Render the suggestion list
+     */
+    function renderSuggestions(doc) {
+        suggestions = findSuggestions(doc);
+        suggestionCountEl.textContent = String(suggestions.length);
+        suggestionsEl.classList.toggle('hidden', suggestions.length === 0);
+        suggestionAllBtn.disabled = suggestions.length === 0;
+
+        const labels = { persName: 'Person', placeName: 'Ort' };
+        suggestionListEl.innerHTML = suggestions.map((suggestion, i) => {
+            const data = suggestion.node.data;
+            const before = data.substring(Math.max(0, suggestion.start - SNIPPET_CONTEXT), suggestion.start);
+            const after = data.substring(suggestion.end, suggestion.end + SNIPPET_CONTEXT);
+            return `
+                <li class="qzh-annotation-suggestion">
+                    <span class="qzh-annotation-suggestion-type">${labels[suggestion.name]}</span>
+                    <span class="qzh-annotation-suggestion-text">…${escapeHTML(before.replace(/\s+/g, ' '))}<mark>${escapeHTML(suggestion.text)}</mark>${escapeHTML(after.replace(/\s+/g, ' '))}…</span>
+                    ${suggestion.ref ? `<span class="qzh-annotation-suggestion-ref">${escapeHTML(suggestion.ref)}</span>` : ''}
+                    <button type="button" class="qzh-annotation-btn qzh-annotation-suggestion-apply" data-index="${i}">Auszeichnen</button>
+                </li>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Tag suggested occurrences, as one change
+     */
+    function applySuggestions(list) {
+        if (list.length === 0) return;
+
+        // From the end, so earlier offsets in the same text node stay valid
+        const ordered = list.slice().sort((a, b) => {
+            if (a.node !== b.node) {
+                return a.node.compareDocumentPosition(b.node) & Node.DOCUMENT_POSITION_FOLLOWING ? 1 : -1;
+            }
+            return b.start - a.start;
+        });
+
+        change(function(xmlDoc) {
+            for (const suggestion of ordered) {
+                const range = xmlDoc.createRange();
+                range.setStart(suggestion.node, suggestion.start);
+                range.setEnd(suggestion.node, suggestion.end);
+                wrap(range, suggestion.name, suggestion.ref);
+            }
+        });
+    }
+
+    /**
+     * Download the annotated XML
+     */
+    function download() {
+        const doc = QZHApp.getActiveDocument();
+        if (!doc) return;
+
+        const blob = new Blob([doc.xml], { type: 'application/xml;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = doc.filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Show an error in the toolbar, or hide it
+     */
+    function showError(message) {
+        errorEl.textContent = message;
+        errorEl.classList.toggle('hidden', !message);
+    }
+
+    /**
+     * Closest element matching a selector, starting at any node
+     */
+    function closestElement(node, selector) {
+        const element = node.nodeType === ELEMENT_NODE ? node : node.parentElement;
+        return element ? element.closest(selector) : null;
+    }
+
+    /**
+     * Whether keys go to a form field
+     */
+    function isTyping(target) {
+        return Boolean(target && target.closest &&
+            target.closest('input, textarea, select, [contenteditable="true"]'));
+    }
+
+    /**
+     * Escape HTML
+     */
+    function escapeHTML(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Escape for attributes
+     */
+    function escapeAttr(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    // Public API
+    return {
+        init: init,
+        open: open,
+        close: close,
+        update: update
+    };
+})();
+
+// Initialize on DOM ready
+document.addEventListener('DOMContentLoaded', function() {
+    QZHAnnotation.init();
+});
@@ -7,18 +7,32 @@ const QZHApp = (function() {
     'use strict';
 
     // DOM Elements
-    let dropzonePage, dropzone, preview, fileInput;
+    let dropzonePage, dropzone, preview, fileInput, folderInput;
     let metadataEl, bodyEl, backEl, regestEl;
     let docIdEl, docTitleEl, docDateEl;
     let registersEl;
     let errorModal, errorMessage, closeErrorBtn;
     let newFileBtn;
     let tabs, tabContents;
-    let normalizedToggle;
+    let normalizedToggle, splitToggle;
+    let documentSidebar, documentListSection, documentListEl;
+    let textTocSection, textTocEl;
     
-    // Application state - cached for re-rendering when toggle changes
-    let cachedXmlDoc = null;
-    let cachedFilename = null;
+    // Application state - every loaded document keeps its parsed XML and
+    // the transform results per mode, so switching and toggling are instant
+    let documents = [];
+    let activeDocument = null;
+    let documentIdCounter = 0;
+    
+    // Paths of files read from dropped folders, which File does not carry
+    const droppedPaths = new WeakMap();
+    
+    // Rendered areas searched for a source element, with their tab
+    const RENDERED_AREAS = [
+        { id: 'documentBody', tab: 'edition' },
+        { id: 'documentRegest', tab: 'regest' },
+        { id: 'documentBack', tab: 'comment' }
+    ];
 
     /**
      * Initialize application
@@ -29,6 +43,7 @@ const QZHApp = (function() {
         dropzone = document.getElementById('dropzone');
         preview = document.getElementById('preview');
         fileInput = document.getElementById('fileInput');
+        folderInput = document.getElementById('folderInput');
         metadataEl = document.getElementById('metadata');
         bodyEl = document.getElementById('documentBody');
         backEl = document.getElementById('documentBack');
@@ -42,6 +57,12 @@ const QZHApp = (function() {
         closeErrorBtn = document.getElementById('closeError');
         newFileBtn = document.getElementById('newFileBtn');
         normalizedToggle = document.getElementById('normalizedToggle');
+        splitToggle = document.getElementById('splitToggle');
+        documentSidebar = document.getElementById('documentSidebar');
+        documentListSection = document.getElementById('documentListSection');
+        documentListEl = document.getElementById('documentList');
+        textTocSection = document.getElementById('textTocSection');
+        textTocEl = document.getElementById('textToc');
 
         // Set up event listeners
         setupDragDrop();
@@ -49,6 +70,7 @@ const QZHApp = (function() {
         setupButtons();
         setupTabs();
         setupNormalizedToggle();
+        setupDocumentList();
     }
 
     /**
@@ -62,9 +84,13 @@ const QZHApp = (function() {
             tab.addEventListener('click', function() {
                 const targetTab = this.getAttribute('data-tab');
                 
-                // Update active tab
-                tabs.forEach(t => t.classList.remove('active'));
-                this.classList.add('active');
+                // Update active tab, only the active one is in the tab order
+                tabs.forEach(t => {
+                    const isActive = t === this;
+                    t.classList.toggle('active', isActive);
+                    t.setAttribute('aria-selected', String(isActive));
+                    t.setAttribute('tabindex', isActive ? '0' : '-1');
+                });
                 
                 // Show correct content
                 tabContents.forEach(content => {
@@ -105,11 +131,14 @@ const QZHApp = (function() {
      * Setup file input handler
      */
     function setupFileInput() {
-        fileInput.addEventListener('change', function(e) {
-            const files = e.target.files;
-            if (files.length > 0) {
-                handleFile(files[0]);
-            }
+        [fileInput, folderInput].forEach(input => {
+            if (!input) return;
+            input.addEventListener('change', function(e) {
+                const files = e.target.files;
+                if (files.length > 0) {
+                    handleFiles(Array.from(files));
+                }
+            });
         });
 
         // Make dropzone clickable to trigger file input
@@ -129,6 +158,9 @@ const QZHApp = (function() {
         newFileBtn.addEventListener('click', function() {
             showDropzone();
             fileInput.value = '';
+            if (folderInput) {
+                folderInput.value = '';
+            }
         });
 
         // Close error modal
@@ -157,15 +189,65 @@ const QZHApp = (function() {
     function setupNormalizedToggle() {
         if (normalizedToggle) {
             normalizedToggle.addEventListener('change', function() {
-                if (cachedXmlDoc) {
-                    // Re-transform and render with new normalized setting
-                    const result = QZHParser.transform(cachedXmlDoc, this.checked);
-                    renderDocument(result, cachedFilename);
+                if (activeDocument) {
+                    // Re-render from the cached result for the new setting
+                    renderDocument(getResult(activeDocument), activeDocument.filename);
+                }
+            });
+        }
+        
+        // Side-by-side view shows both modes, the toggle does not apply
+        if (splitToggle) {
+            splitToggle.addEventListener('change', function() {
+                if (normalizedToggle) {
+                    normalizedToggle.disabled = splitToggle.checked;
+                }
+                if (activeDocument) {
+                    renderDocument(getResult(activeDocument), activeDocument.filename);
                 }
             });
         }
     }
 
+    /**
+     * Whether diplomatic and normalized text are shown side by side
+     */
+    function isSplitView() {
+        return Boolean(splitToggle && splitToggle.checked);
+    }
+
+    /**
+     * Whether the main edition text is rendered normalized
+     */
+    function isNormalized() {
+        return !isSplitView() && Boolean(normalizedToggle && normalizedToggle.checked);
+    }
+
+    /**
+     * Setup document list (switching and closing documents) and the
+     * contents of grouped texts
+     */
+    function setupDocumentList() {
+        textTocEl.addEventListener('click', function(e) {
+            const item = e.target.closest('.qzh-text-toc-item');
+            if (item) {
+                revealText(item.getAttribute('data-text'));
+            }
+        });
+        
+        documentListEl.addEventListener('click', function(e) {
+            const item = e.target.closest('.qzh-document-item');
+            if (!item) return;
+            
+            const id = parseInt(item.getAttribute('data-doc-id'), 10);
+            if (e.target.closest('.qzh-document-close')) {
+                closeDocument(id);
+            } else {
+                activateDocument(id);
+            }
+        });
+    }
+
     /**
      * Prevent default behavior
      */
@@ -189,71 +271,457 @@ const QZHApp = (function() {
     }
 
     /**
-     * Handle dropped files
+     * Handle dropped files and folders
      */
-    function handleDrop(e) {
+    async function handleDrop(e) {
         const dt = e.dataTransfer;
-        const files = dt.files;
+        const items = dt.items ? Array.from(dt.items) : [];
+        const entries = items
+            .map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null)
+            .filter(Boolean);
         
-        if (files.length > 0) {
-            handleFile(files[0]);
+        // Folders are only reachable through the entry API
+        if (entries.some(entry => entry.isDirectory)) {
+            const files = [];
+            const errors = [];
+            try {
+                for (const entry of entries) {
+                    files.push(...await readEntry(entry, errors));
+                }
+            } catch (err) {
+                errors.push(err.message);
+            }
+            if (files.length === 0 && errors.length > 0) {
+                showError('Fehler beim Lesen des Ordners: ' + errors.join('\n'));
+                return;
+            }
+            handleFiles(files, errors);
+            return;
         }
+        
+        if (dt.files.length > 0) {
+            handleFiles(Array.from(dt.files));
+        }
+    }
+
+    /**
+     * Recursively collect files from a dropped file system entry. Entries
+     * that cannot be read (permissions, deleted meanwhile) are skipped and
+     * noted in errors, the rest is still loaded.
+     */
+    async function readEntry(entry, errors) {
+        const path = entry.fullPath.replace(/^\//, '');
+        if (entry.isFile) {
+            try {
+                const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+                droppedPaths.set(file, path);
+                return [file];
+            } catch (err) {
+                errors.push(`${path}: ${err.message || 'nicht lesbar'}`);
+                return [];
+            }
+        }
+        
+        const reader = entry.createReader();
+        const files = [];
+        let batch;
+        // readEntries returns the directory content in batches
+        do {
+            try {
+                batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            } catch (err) {
+                errors.push(`${path}: ${err.message || 'nicht lesbar'}`);
+                break;
+            }
+            for (const child of batch) {
+                files.push(...await readEntry(child, errors));
+            }
+        } while (batch.length > 0);
+        return files;
     }
 
     /**
-     * Handle a file (from drop or input)
+     * Handle files (from drop or input). readErrors are entries of a
+     * dropped folder that could not be read, reported with the others.
      */
-    function handleFile(file) {
-        // Check file type
-        if (!file.name.toLowerCase().endsWith('.xml')) {
+    async function handleFiles(files, readErrors = []) {
+        const sorted = files.slice().sort((a, b) => a.name.localeCompare(b.name, 'de', { numeric: true }));
+        const xmlFiles = sorted.filter(file => file.name.toLowerCase().endsWith('.xml'));
+        const jsonFiles = sorted.filter(file => file.name.toLowerCase().endsWith('.json'));
+        
+        if (xmlFiles.length === 0 && jsonFiles.length === 0) {
             showError('Bitte nur XML-Dateien hochladen.');
             return;
         }
-
-        // Read file
-        const reader = new FileReader();
         
-        reader.onload = function(e) {
+        const errors = readErrors.slice();
+        const parsed = new Map();
+        let authorityLoaded = false;
+        
+        // Authority files first, so documents of the same drop resolve against them
+        for (const file of [...jsonFiles, ...xmlFiles]) {
             try {
-                const xmlString = e.target.result;
-                processXML(xmlString, file.name);
+                const text = await readFile(file);
+                if (file.name.toLowerCase().endsWith('.json')) {
+                    QZHAuthority.load(text, file.name);
+                    authorityLoaded = true;
+                    continue;
+                }
+                const xmlDoc = QZHParser.parse(text);
+                if (QZHAuthority.isAuthorityDocument(xmlDoc)) {
+                    QZHAuthority.loadDocument(xmlDoc, file.name);
+                    authorityLoaded = true;
+                } else {
+                    parsed.set(file, { text, xmlDoc });
+                }
             } catch (err) {
-                showError('Fehler beim Lesen der Datei: ' + err.message);
+                errors.push(`${file.name}: ${err.message}`);
             }
-        };
+        }
+        
+        let firstLoaded = null;
+        for (const [file, { text, xmlDoc }] of parsed) {
+            try {
+                const doc = addDocument(text, file.name, '', getFilePath(file), xmlDoc);
+                firstLoaded = firstLoaded || doc;
+            } catch (err) {
+                errors.push(`${file.name}: ${err.message}`);
+            }
+        }
+        
+        if (firstLoaded) {
+            renderDocumentList();
+            activateDocument(firstLoaded.id);
+        } else if (authorityLoaded && activeDocument) {
+            // Re-render the open document with the resolved names
+            activateDocument(activeDocument.id);
+        }
+        
+        if (errors.length > 0) {
+            showError('Fehler beim Verarbeiten der XML-Datei: ' + errors.join('\n'));
+        }
+    }
 
-        reader.onerror = function() {
-            showError('Fehler beim Lesen der Datei.');
-        };
+    /**
+     * Path of a file within a dropped or selected folder, else its name
+     */
+    function getFilePath(file) {
+        return droppedPaths.get(file) || file.webkitRelativePath || file.name;
+    }
 
-        reader.readAsText(file);
+    /**
+     * Read a file as text
+     */
+    function readFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = e => resolve(e.target.result);
+            reader.onerror = () => reject(new Error('Fehler beim Lesen der Datei.'));
+            reader.readAsText(file);
+        });
     }
 
     /**
-     * Process XML string
+     * Process XML string and show it as the active document
      */
-    function processXML(xmlString, filename) {
+    function processXML(xmlString, filename, source, path) {
         try {
-            // Parse XML
-            const xmlDoc = QZHParser.parse(xmlString);
-            
-            // Cache for re-rendering when toggle changes
-            cachedXmlDoc = xmlDoc;
-            cachedFilename = filename;
-            
-            // Transform to HTML (check if normalized mode is enabled)
-            const normalized = normalizedToggle ? normalizedToggle.checked : false;
-            const result = QZHParser.transform(xmlDoc, normalized);
-            
-            // Render
-            renderDocument(result, filename);
-            
-            // Show preview
-            showPreview();
-            
+            const doc = addDocument(xmlString, filename, source, path);
+            renderDocumentList();
+            activateDocument(doc.id);
+            return doc;
         } catch (err) {
             showError('Fehler beim Verarbeiten der XML-Datei: ' + err.message);
+            return null;
+        }
+    }
+
+    /**
+     * Fetch a same-origin XML file and show it as the active document
+     */
+    async function loadURL(path) {
+        let url;
+        try {
+            url = new URL(path, location.href);
+        } catch (err) {
+            url = null;
+        }
+        
+        if (!url || url.origin !== location.origin || url.protocol === 'file:') {
+            showError(`Dokument «${path}» kann nicht geladen werden: nur Dateien vom selben Server sind erlaubt.`);
+            return null;
+        }
+        
+        let xmlString;
+        try {
+            const response = await fetch(url.href);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            xmlString = await response.text();
+        } catch (err) {
+            showError(`Dokument «${path}» konnte nicht geladen werden: ${err.message}`);
+            return null;
+        }
+        
+        return processXML(xmlString, url.pathname.split('/').pop(), path);
+    }
+
+    /**
+     * Parse XML string and add it to the document list.
+     * A document from the same source or path is replaced.
+     * source is the same-origin path of a fetched document; local files
+     * are kept in storage instead, so links to them survive a reload.
+     * path tells apart local files of the same name from different folders.
+     * xmlDoc is the parsed xmlString, if the caller has parsed it already.
+     */
+    function addDocument(xmlString, filename, source = '', path = filename, xmlDoc = QZHParser.parse(xmlString)) {
+        const doc = {
+            id: ++documentIdCounter,
+            filename: filename,
+            source: source,
+            path: path,
+            xml: xmlString,
+            xmlDoc: xmlDoc,
+            results: {},
+            activeTab: 'edition'
+        };
+        
+        // Transform once up front so the list can show idno, title and date
+        doc.heading = getResult(doc).heading;
+        
+        rememberDocument(doc);
+        
+        const existing = documents.findIndex(d => getStorageId(d) === getStorageId(doc));
+        if (existing >= 0) {
+            documents[existing] = doc;
+        } else {
+            documents.push(doc);
+        }
+        return doc;
+    }
+
+    /**
+     * Replace the XML of a loaded document, e.g. after editing. Throws on
+     * parse errors and keeps the previous state then. The rendered view
+     * keeps its scroll position.
+     */
+    function updateDocument(doc, xmlString) {
+        const xmlDoc = QZHParser.parse(xmlString);
+        
+        doc.xml = xmlString;
+        doc.xmlDoc = xmlDoc;
+        doc.results = {};
+        doc.modified = true;
+        doc.heading = getResult(doc).heading;
+        
+        rememberDocument(doc);
+        renderDocumentList();
+        
+        if (doc === activeDocument) {
+            const scrollY = window.scrollY;
+            const columns = [bodyEl, document.getElementById('documentBodyNormalized')]
+                .filter(Boolean)
+                .map(el => ({ el, top: el.scrollTop }));
+            
+            renderDocument(getResult(doc), doc.filename);
+            
+            columns.forEach(column => { column.el.scrollTop = column.top; });
+            window.scrollTo(0, scrollY);
+        }
+        return doc;
+    }
+
+    /**
+     * Id of a document in storage and links: its source, or its local path
+     */
+    function getStorageId(doc) {
+        return doc.source || doc.path || doc.filename;
+    }
+
+    /**
+     * Keep a document in the recently opened list
+     */
+    function rememberDocument(doc) {
+        QZHRecent.add({
+            id: getStorageId(doc),
+            filename: doc.filename,
+            source: doc.source,
+            path: doc.path,
+            xml: doc.xml,
+            heading: doc.heading
+        });
+    }
+
+    /**
+     * Get the (cached) transform result of a document, by default for the current mode
+     */
+    function getResult(doc, normalized = isNormalized()) {
+        const key = normalized ? 'normalized' : 'diplomatic';
+        if (!doc.results[key]) {
+            doc.results[key] = QZHParser.transform(doc.xmlDoc, normalized);
+        }
+        return doc.results[key];
+    }
+
+    /**
+     * Render and show a loaded document
+     */
+    function activateDocument(id) {
+        const doc = documents.find(d => d.id === id);
+        if (!doc) return;
+        
+        // Remember the view of the document we are leaving
+        if (activeDocument && activeDocument !== doc) {
+            activeDocument.activeTab = getActiveTab();
+        }
+        
+        const switched = activeDocument !== doc;
+        activeDocument = doc;
+        renderDocument(getResult(doc), doc.filename);
+        if (switched) {
+            QZHSplit.resetScroll();
         }
+        selectTab(doc.activeTab);
+        updateDocumentListSelection();
+        showPreview();
+        QZHRouter.update();
+    }
+
+    /**
+     * Remove a document from the list
+     */
+    function closeDocument(id) {
+        const index = documents.findIndex(d => d.id === id);
+        if (index < 0) return;
+        
+        documents.splice(index, 1);
+        renderDocumentList();
+        
+        if (activeDocument && activeDocument.id === id) {
+            activeDocument = null;
+            const next = documents[Math.min(index, documents.length - 1)];
+            if (next) {
+                activateDocument(next.id);
+            } else {
+                showDropzone();
+                QZHEditor.update();
+                QZHAnnotation.update();
+                QZHRouter.update();
+            }
+        }
+    }
+
+    /**
+     * Render the document list sidebar
+     */
+    function renderDocumentList() {
+        updateSidebar();
+        
+        documentListEl.innerHTML = documents.map(doc => {
+            const heading = doc.heading || {};
+            const idno = heading.idno || extractIdFromFilename(doc.filename);
+            return `
+                <li class="qzh-document-item" data-doc-id="${doc.id}" title="${escapeAttr(doc.filename)}">
+                    <button class="qzh-document-close" title="Dokument schliessen" aria-label="Dokument schliessen">×</button>
+                    <span class="qzh-document-idno">${escapeHTML(idno)}</span>
+                    <span class="qzh-document-title">${escapeHTML(heading.title || doc.filename)}</span>
+                    ${heading.date ? `<span class="qzh-document-date">${escapeHTML(heading.date)}</span>` : ''}
+                </li>
+            `;
+        }).join('');
+        
+        updateDocumentListSelection();
+    }
+
+    /**
+     * Show the sidebar when it has a document list or contents
+     */
+    function updateSidebar() {
+        const hasList = documents.length > 1;
+        const hasToc = !textTocSection.classList.contains('hidden');
+        documentListSection.classList.toggle('hidden', !hasList);
+        documentSidebar.classList.toggle('hidden', !hasList && !hasToc);
+    }
+
+    /**
+     * Render the contents of a document with grouped texts
+     */
+    function renderTextToc(texts) {
+        const hasToc = Boolean(texts && texts.length > 1);
+        textTocSection.classList.toggle('hidden', !hasToc);
+        
+        textTocEl.innerHTML = hasToc ? texts.map(text => `
+            <li>
+                <button type="button" class="qzh-text-toc-item" data-text="${text.index}">
+                    <span class="qzh-text-toc-title">${escapeHTML(text.title)}</span>
+                    ${text.date ? `<span class="qzh-text-toc-date">${escapeHTML(text.date)}</span>` : ''}
+                </button>
+            </li>
+        `).join('') : '';
+        
+        updateSidebar();
+    }
+
+    /**
+     * Scroll to an inner text of a group
+     */
+    function revealText(index) {
+        const section = bodyEl.querySelector(`.qzh-text[data-text="${index}"]`);
+        if (!section) return false;
+        
+        selectTab('edition');
+        section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        
+        textTocEl.querySelectorAll('.qzh-text-toc-item').forEach(item => {
+            item.classList.toggle('active', item.getAttribute('data-text') === String(index));
+        });
+        return true;
+    }
+
+    /**
+     * Find the rendered element of a source element of the active
+     * document, falling back to the closest rendered ancestor
+     */
+    function findRendered(nodeId) {
+        let node = nodeId && activeDocument ? QZHParser.findNodeById(activeDocument.xmlDoc, nodeId) : null;
+        while (node && node.nodeType === 1) {
+            const id = QZHParser.getNodeId(node);
+            for (const area of RENDERED_AREAS) {
+                const el = document.getElementById(area.id);
+                const rendered = el && el.querySelector(`[data-node-id="${id}"]`);
+                if (rendered) {
+                    return { element: rendered, tab: area.tab };
+                }
+            }
+            node = node.parentNode;
+        }
+        return null;
+    }
+
+    /**
+     * Switch to the tab of a source element and highlight its rendering,
+     * e.g. from the validation report or the XML source
+     */
+    function revealNode(nodeId) {
+        const found = findRendered(nodeId);
+        if (!found) return false;
+        
+        selectTab(found.tab);
+        found.element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        found.element.classList.add('qzh-reveal-target');
+        setTimeout(() => found.element.classList.remove('qzh-reveal-target'), 2000);
+        return true;
+    }
+
+    /**
+     * Mark the active document in the list
+     */
+    function updateDocumentListSelection() {
+        documentListEl.querySelectorAll('.qzh-document-item').forEach(item => {
+            const isActive = activeDocument && parseInt(item.getAttribute('data-doc-id'), 10) === activeDocument.id;
+            item.classList.toggle('active', Boolean(isActive));
+        });
     }
 
     /**
@@ -275,6 +743,7 @@ const QZHApp = (function() {
         }
         
         // Render body (Editionstext)
+        bodyEl.classList.toggle('normalized', isNormalized());
         if (result.body) {
             bodyEl.innerHTML = result.body;
         } else {
@@ -300,15 +769,75 @@ const QZHApp = (function() {
             registersEl.innerHTML = renderRegisters(result.registers, result.metadata);
         }
         
+        // Render place map
+        QZHMap.render(result.registers ? result.registers.places : []);
+        
+        // Contents of grouped texts in the left sidebar
+        renderTextToc(result.texts);
+        
         // Render footnotes
         if (result.footnotes && result.footnotes.length > 0) {
-            renderFootnotes(result.footnotes);
+            renderFootnotes(result.footnotes, result.texts);
         }
         
-        // Switch to Editionstext tab by default
-        const editionTab = document.querySelector('.qzh-tab[data-tab="edition"]');
-        if (editionTab) {
-            editionTab.click();
+        // Lettered apparatus below the footnotes, shown with the Apparat toggle
+        bodyEl.insertAdjacentHTML('beforeend', QZHApparatus.renderHTML(result.apparatus, result.texts));
+        
+        // Normalized text next to the diplomatic one
+        QZHSplit.render(isSplitView() && activeDocument ? getResult(activeDocument, true) : null);
+        
+        // Count and link register occurrences in the edition text
+        QZHOccurrences.update();
+        
+        // Label line numbers and jump to a linked line
+        QZHLines.update();
+        
+        // Re-apply an active search to the new content
+        QZHSearch.update();
+        
+        // Make annotations and references reachable by keyboard
+        QZHKeyboard.update();
+        
+        // A pinned element stack belongs to the previous rendering
+        QZHInspector.close();
+        
+        // XML tab, rendered when shown
+        QZHSource.update();
+        
+        // Editor follows the active document
+        QZHEditor.update();
+        
+        // Refs, suggestions and undo history of the annotation mode
+        QZHAnnotation.update();
+        
+        // Check the document against the editorial rules
+        if (activeDocument) {
+            QZHValidation.render(activeDocument.xmlDoc, result);
+        }
+    }
+
+    /**
+     * Get the displayed document entry
+     */
+    function getActiveDocument() {
+        return activeDocument;
+    }
+
+    /**
+     * Get the name of the active tab
+     */
+    function getActiveTab() {
+        const active = document.querySelector('.qzh-tab.active');
+        return active ? active.getAttribute('data-tab') : 'edition';
+    }
+
+    /**
+     * Switch to a tab by name
+     */
+    function selectTab(name) {
+        const tab = document.querySelector(`.qzh-tab[data-tab="${name}"]`);
+        if (tab) {
+            tab.click();
         }
     }
     
@@ -324,11 +853,21 @@ const QZHApp = (function() {
     }
     
     /**
-     * Render registers (places, persons, keywords)
+     * Render registers (places, persons, organizations, terms, keywords)
      */
     function renderRegisters(registers, metadata) {
         let html = '';
         
+        // Loaded authority files
+        const authoritySources = QZHAuthority.getSources();
+        if (authoritySources.length > 0) {
+            html += `
+                <p class="qzh-authority-info">
+                    Normdaten: ${authoritySources.map(s => `${escapeHTML(s.filename)} (${s.count})`).join(', ')}
+                </p>
+            `;
+        }
+        
         // Places
         if (registers.places && registers.places.length > 0) {
             html += `
@@ -341,7 +880,7 @@ const QZHApp = (function() {
                         Ort
                     </h3>
                     <ul class="qzh-register-list">
-                        ${registers.places.map(p => `<li class="qzh-register-item place">${escapeHTML(p.name)}</li>`).join('')}
+                        ${registers.places.map(p => renderRegisterItem('place', p.name, p.ref, p.variants)).join('')}
                     </ul>
                 </div>
             `;
@@ -359,7 +898,45 @@ const QZHApp = (function() {
                         Person
                     </h3>
                     <ul class="qzh-register-list">
-                        ${registers.persons.map(p => `<li class="qzh-register-item person">${escapeHTML(p.name)}</li>`).join('')}
+                        ${registers.persons.map(p => renderRegisterItem('person', p.name, p.ref, p.variants)).join('')}
+                    </ul>
+                </div>
+            `;
+        }
+        
+        // Organizations
+        if (registers.organizations && registers.organizations.length > 0) {
+            html += `
+                <div class="qzh-sidebar-section qzh-register">
+                    <h3 class="qzh-sidebar-title">
+                        <svg viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M3 21h18"/>
+                            <path d="M5 21V10l7-5 7 5v11"/>
+                            <line x1="9" y1="21" x2="9" y2="14"/>
+                            <line x1="15" y1="21" x2="15" y2="14"/>
+                        </svg>
+                        Organisation
+                    </h3>
+                    <ul class="qzh-register-list">
+                        ${registers.organizations.map(o => renderRegisterItem('organization', o.name, o.ref, o.variants)).join('')}
+                    </ul>
+                </div>
+            `;
+        }
+        
+        // Terms from the text
+        if (registers.terms && registers.terms.length > 0) {
+            html += `
+                <div class="qzh-sidebar-section qzh-register">
+                    <h3 class="qzh-sidebar-title">
+                        <svg viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M20.59 13.41l-7.17 7.17a2 2 0 0 1-2.83 0L2 12V2h10l8.59 8.59a2 2 0 0 1 0 2.82z"/>
+                            <line x1="7" y1="7" x2="7.01" y2="7"/>
+                        </svg>
+                        Begriff
+                    </h3>
+                    <ul class="qzh-register-list">
+                        ${registers.terms.map(t => renderRegisterItem('term', t.name, t.ref, t.variants)).join('')}
                     </ul>
                 </div>
             `;
@@ -379,7 +956,7 @@ const QZHApp = (function() {
                         Schlagwörter
                     </h3>
                     <ul class="qzh-register-list">
-                        ${metadata.keywords.map(k => `<li class="qzh-register-item keyword">${escapeHTML(k.text)}</li>`).join('')}
+                        ${metadata.keywords.map(k => renderRegisterItem('keyword', k.text, k.ref)).join('')}
                     </ul>
                 </div>
             `;
@@ -388,6 +965,35 @@ const QZHApp = (function() {
         return html;
     }
 
+    /**
+     * Render a single register entry (occurrence count is filled in by QZHOccurrences)
+     */
+    function renderRegisterItem(type, name, ref, variants = []) {
+        // Other spellings tagged with the same ref
+        let variantsHtml = variants.length > 0
+            ? `<span class="qzh-register-variants">auch: ${variants.map(v => escapeHTML(v)).join('; ')}</span>`
+            : '';
+        
+        // Normalized name and details from the authority file, the text form becomes a variant
+        let label = escapeHTML(name);
+        const entry = QZHAuthority.lookup(ref);
+        if (entry && entry.name) {
+            const details = QZHAuthority.summarize(entry);
+            label = escapeHTML(entry.name);
+            if (details) {
+                label += `<span class="qzh-register-details">${escapeHTML(details)}</span>`;
+            }
+            variantsHtml = `<span class="qzh-register-variants">im Text: ${[name, ...variants].map(v => escapeHTML(v)).join('; ')}</span>`;
+        }
+        
+        return `
+            <li class="qzh-register-item ${type}" data-type="${type}" data-ref="${escapeAttr(ref || '')}" data-name="${escapeAttr(name)}" tabindex="0">
+                <span class="qzh-register-name">${label}${variantsHtml}</span>
+                <span class="qzh-register-count"></span>
+            </li>
+        `;
+    }
+
     /**
      * Render metadata to HTML (Stückbeschreibung)
      */
@@ -516,24 +1122,11 @@ const QZHApp = (function() {
     /**
      * Render footnotes
      */
-    function renderFootnotes(footnotes) {
+    function renderFootnotes(footnotes, texts) {
         if (footnotes.length === 0) return;
         
-        let html = '<div class="footnotes"><h4>Anmerkungen</h4>';
-        
-        for (const fn of footnotes) {
-            html += `
-                <div class="footnote" id="fn-${fn.number}">
-                    <span class="footnote-number">${fn.number}</span>
-                    <span class="fn-content">${fn.content}</span>
-                </div>
-            `;
-        }
-        
-        html += '</div>';
-        
         // Append to body
-        bodyEl.insertAdjacentHTML('beforeend', html);
+        bodyEl.insertAdjacentHTML('beforeend', renderFootnotesHTML(footnotes, texts));
         
         // Setup footnote click handlers
         document.querySelectorAll('.footnote-ref').forEach(ref => {
@@ -549,6 +1142,41 @@ const QZHApp = (function() {
         });
     }
 
+    /**
+     * Render footnotes to HTML. With grouped texts every text has its own
+     * numbering under its title.
+     */
+    function renderFootnotesHTML(footnotes, texts) {
+        let html = '<div class="footnotes"><h4>Anmerkungen</h4>';
+        
+        if (texts && texts.length > 1) {
+            for (const text of texts) {
+                const textFootnotes = footnotes.filter(fn => fn.text === text.index);
+                if (textFootnotes.length === 0) continue;
+                
+                html += `<h5 class="footnotes-text">${escapeHTML(text.title)}</h5>`;
+                html += textFootnotes.map(renderFootnoteHTML).join('');
+            }
+        } else {
+            html += footnotes.map(renderFootnoteHTML).join('');
+        }
+        
+        html += '</div>';
+        return html;
+    }
+
+    /**
+     * Render a single footnote
+     */
+    function renderFootnoteHTML(fn) {
+        return `
+            <div class="footnote" id="fn-${escapeAttr(fn.key || String(fn.number))}">
+                <span class="footnote-number">${fn.label || fn.number}</span>
+                <span class="fn-content">${fn.content}</span>
+            </div>
+        `;
+    }
+
     /**
      * Show dropzone, hide preview
      */
@@ -603,7 +1231,23 @@ const QZHApp = (function() {
 
     // Public API
     return {
-        init: init
+        init: init,
+        getActiveDocument: getActiveDocument,
+        getResult: getResult,
+        getStorageId: getStorageId,
+        isNormalized: isNormalized,
+        processXML: processXML,
+        loadURL: loadURL,
+        updateDocument: updateDocument,
+        selectTab: selectTab,
+        showError: showError,
+        extractIdFromFilename: extractIdFromFilename,
+        renderMetadata: renderMetadata,
+        renderRegisters: renderRegisters,
+        renderFootnotesHTML: renderFootnotesHTML,
+        revealText: revealText,
+        findRendered: findRendered,
+        revealNode: revealNode
     };
 })();
 
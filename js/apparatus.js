@@ -0,0 +1,147 @@
+/**
+ * QZH Critical Apparatus
+ * Shows the lettered apparatus notes collected by the parser (add, del,
+ * subst, sic/corr, unclear, gap, app) below the edition text, like printed
+ * QZH/SSRQ editions. Switched off, text-critical details are tooltips only.
+ */
+
+const QZHApparatus = (function() {
+    'use strict';
+
+    const STORAGE_KEY = 'qzh-apparatus';
+
+    let columnsEl = null;
+    let toggleEl = null;
+
+    /**
+     * Initialize apparatus toggle and references
+     */
+    function init() {
+        columnsEl = document.getElementById('editionColumns');
+        toggleEl = document.getElementById('apparatusToggle');
+
+        if (!columnsEl || !toggleEl) {
+            return;
+        }
+
+        try {
+            toggleEl.checked = localStorage.getItem(STORAGE_KEY) === '1';
+        } catch (err) {
+            // Storage unavailable, keep default
+        }
+        applyToggle();
+
+        toggleEl.addEventListener('change', function() {
+            applyToggle();
+            try {
+                localStorage.setItem(STORAGE_KEY, toggleEl.checked ? '1' : '0');
+            } catch (err) {
+                // Storage unavailable, setting lasts for the session
+            }
+        });
+
+        columnsEl.addEventListener('click', function(e) {
+            const ref = e.target.closest('.apparatus-ref');
+            if (ref) {
+                reveal(ref.getAttribute('data-apparatus'));
+            }
+        });
+    }
+
+    /**
+     * Show or hide the lettered notes
+     */
+    function applyToggle() {
+        columnsEl.classList.toggle('show-apparatus', toggleEl.checked);
+    }
+
+    /**
+     * Whether the lettered notes are shown
+     */
+    function isActive() {
+        return Boolean(toggleEl && toggleEl.checked);
+    }
+
+    /**
+     * Render the apparatus to HTML. With grouped texts every text has its
+     * own lettering under its title.
+     */
+    function renderHTML(apparatus, texts) {
+        if (!apparatus || apparatus.length === 0) return '';
+
+        let html = '<div class="apparatus"><h4>Textkritischer Apparat</h4>';
+
+        if (texts && texts.length > 1) {
+            for (const text of texts) {
+                const entries = apparatus.filter(entry => entry.text === text.index);
+                if (entries.length === 0) continue;
+
+                html += `<h5 class="footnotes-text">${escapeHTML(text.title)}</h5>`;
+                html += entries.map(renderEntryHTML).join('');
+            }
+        } else {
+            html += apparatus.map(renderEntryHTML).join('');
+        }
+
+        html += '</div>';
+        return html;
+    }
+
+    /**
+     * Render a single apparatus note
+     */
+    function renderEntryHTML(entry) {
+        return `
+            <div class="apparatus-entry" id="app-${escapeAttr(entry.key)}">
+                <span class="apparatus-letter">${escapeHTML(entry.letter)}</span>
+                ${entry.lemma ? `<span class="apparatus-lemma">${escapeHTML(entry.lemma)}</span>` : ''}
+                <span class="apparatus-content">${escapeHTML(entry.content)}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Scroll to an apparatus note and highlight it
+     */
+    function reveal(key) {
+        const entry = document.getElementById('app-' + key);
+        if (!entry) return;
+
+        entry.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        entry.classList.add('highlight');
+        setTimeout(() => entry.classList.remove('highlight'), 2000);
+    }
+
+    /**
+     * Escape HTML
+     */
+    function escapeHTML(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Escape for attributes
+     */
+    function escapeAttr(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    // Public API
+    return {
+        init: init,
+        isActive: isActive,
+        renderHTML: renderHTML
+    };
+})();
+
+// Initialize on DOM ready
+document.addEventListener('DOMContentLoaded', function() {
+    QZHApparatus.init();
+});
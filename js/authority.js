@@ -0,0 +1,309 @@
+/**
+ * QZH Authority File
+ * Optional local authority data (persons, places, organizations, terms)
+ * used to resolve refs like GND_…, LOC_… or key… to normalized names.
+ *
+ * Accepted formats:
+ * - JSON object keyed by ref: { "GND_1089574681": { "name": "…", "birth": "…", "death": "…" } }
+ * - JSON array of entries with a "ref" (or "id") field
+ * - JSON object with "persons", "places", "organizations" and/or "terms" arrays
+ * - TEI with listPerson/person, listPlace/place, listOrg/org or taxonomy/category,
+ *   matched by @xml:id or by <idno type="GND">
+ */
+
+const QZHAuthority = (function() {
+    'use strict';
+
+    // Loaded entries by ref
+    let entries = new Map();
+    let sources = [];
+
+    // Lists of persons, places, organizations and terms
+    const AUTHORITY_LISTS = 'listPerson, listPlace, listOrg, taxonomy';
+
+    // Node types, as in the parser
+    const ELEMENT_NODE = 1;
+    const TEXT_NODE = 3;
+
+    // Grouped JSON keys -> entry kind
+    const JSON_GROUPS = {
+        'persons': 'person',
+        'places': 'place',
+        'organizations': 'organization',
+        'terms': 'term'
+    };
+
+    /**
+     * Check whether a parsed XML document is an authority file
+     * rather than an edition text. Authority exports keep their lists
+     * in standOff or in text/body, but have no edition text.
+     */
+    function isAuthorityDocument(xmlDoc) {
+        if (!xmlDoc.querySelector(AUTHORITY_LISTS)) {
+            return false;
+        }
+        const body = xmlDoc.querySelector('body');
+        return !body || !hasEditionText(body);
+    }
+
+    /**
+     * Whether an element contains text outside of authority lists and headings
+     */
+    function hasEditionText(element) {
+        for (const child of element.childNodes) {
+            if (child.nodeType === TEXT_NODE && child.textContent.trim()) {
+                return true;
+            }
+            if (child.nodeType === ELEMENT_NODE && !child.matches(`${AUTHORITY_LISTS}, head`) && hasEditionText(child)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Load an authority file from its text content, returns the number of entries
+     */
+    function load(text, filename) {
+        if (filename.toLowerCase().endsWith('.json')) {
+            return register(loadJSON(JSON.parse(text)), filename);
+        }
+        return loadDocument(QZHParser.parse(text), filename);
+    }
+
+    /**
+     * Load an already parsed TEI authority file, returns the number of entries
+     */
+    function loadDocument(xmlDoc, filename) {
+        return register(loadTEI(xmlDoc), filename);
+    }
+
+    /**
+     * Add the entries of a file, replacing those of an earlier load of it
+     */
+    function register(loaded, filename) {
+        if (loaded.length === 0) {
+            throw new Error('Keine Normdaten gefunden.');
+        }
+
+        for (const entry of loaded) {
+            entries.set(entry.ref, entry);
+        }
+        sources = sources.filter(s => s.filename !== filename);
+        sources.push({ filename, count: loaded.length });
+
+        return loaded.length;
+    }
+
+    /**
+     * Load entries from JSON data
+     */
+    function loadJSON(data) {
+        if (Array.isArray(data)) {
+            return data.map(item => normalizeEntry(item.ref || item.id, item, '')).filter(Boolean);
+        }
+
+        if (!data || typeof data !== 'object') {
+            return [];
+        }
+
+        // Grouped arrays
+        const groups = Object.keys(JSON_GROUPS).filter(key => Array.isArray(data[key]));
+        if (groups.length > 0) {
+            const result = [];
+            for (const key of groups) {
+                for (const item of data[key]) {
+                    const entry = normalizeEntry(item.ref || item.id, item, JSON_GROUPS[key]);
+                    if (entry) result.push(entry);
+                }
+            }
+            return result;
+        }
+
+        // Object keyed by ref
+        return Object.keys(data)
+            .map(ref => normalizeEntry(ref, data[ref], ''))
+            .filter(Boolean);
+    }
+
+    /**
+     * Normalize a JSON entry
+     */
+    function normalizeEntry(ref, item, kind) {
+        if (!ref || !item || typeof item !== 'object') {
+            return null;
+        }
+
+        let dates = item.dates || '';
+        if (!dates && (item.birth || item.death)) {
+            dates = `${item.birth || '?'}–${item.death || '?'}`;
+        }
+
+        return {
+            ref: String(ref),
+            kind: item.kind || kind,
+            name: item.name || item.label || '',
+            dates: dates,
+            placeType: item.placeType || ((item.kind || kind) === 'place' ? item.type || '' : ''),
+            definition: item.definition || item.description || item.gloss || '',
+            note: item.note || ''
+        };
+    }
+
+    /**
+     * Load entries from a TEI authority file
+     */
+    function loadTEI(xmlDoc) {
+        const result = [];
+
+        for (const person of xmlDoc.querySelectorAll('listPerson person')) {
+            const birth = person.querySelector('birth');
+            const death = person.querySelector('death');
+            const floruit = person.querySelector('floruit');
+            let dates = '';
+            if (birth || death) {
+                dates = `${getDateValue(birth) || '?'}–${getDateValue(death) || '?'}`;
+            } else if (floruit) {
+                dates = `erwähnt ${getDateValue(floruit)}`;
+            }
+            addTEIEntry(result, person, 'person', {
+                name: getText(person.querySelector('persName')),
+                dates: dates,
+                note: getText(person.querySelector('note'))
+            });
+        }
+
+        for (const place of xmlDoc.querySelectorAll('listPlace place')) {
+            addTEIEntry(result, place, 'place', {
+                name: getText(place.querySelector('placeName')),
+                placeType: place.getAttribute('type') || '',
+                note: getText(place.querySelector('note'))
+            });
+        }
+
+        for (const org of xmlDoc.querySelectorAll('listOrg org')) {
+            addTEIEntry(result, org, 'organization', {
+                name: getText(org.querySelector('orgName')),
+                note: getText(org.querySelector('note'))
+            });
+        }
+
+        for (const category of xmlDoc.querySelectorAll('taxonomy category')) {
+            const catDesc = category.querySelector('catDesc');
+            if (!catDesc) continue;
+            const term = catDesc.querySelector('term');
+            const gloss = catDesc.querySelector('gloss');
+            addTEIEntry(result, category, 'term', {
+                name: term ? getText(term) : getText(catDesc),
+                definition: gloss ? getText(gloss) : ''
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Add a TEI entry under its xml:id and GND idno
+     */
+    function addTEIEntry(result, node, kind, fields) {
+        const refs = [];
+        const id = node.getAttribute('xml:id');
+        if (id) refs.push(id);
+
+        for (const idno of node.querySelectorAll('idno')) {
+            const type = (idno.getAttribute('type') || '').toUpperCase();
+            const value = getText(idno);
+            if (type === 'GND' && value) {
+                refs.push(`GND_${value.replace(/^.*\/gnd\//, '')}`);
+            }
+        }
+
+        for (const ref of refs) {
+            result.push(Object.assign({
+                ref: ref,
+                kind: kind,
+                name: '',
+                dates: '',
+                placeType: '',
+                definition: '',
+                note: ''
+            }, fields));
+        }
+    }
+
+    /**
+     * Get the date of a birth/death/floruit element
+     */
+    function getDateValue(node) {
+        if (!node) return '';
+        return node.getAttribute('when') || node.getAttribute('notBefore') || node.getAttribute('from') || getText(node);
+    }
+
+    /**
+     * Get normalized text content
+     */
+    function getText(node) {
+        return node ? node.textContent.replace(/\s+/g, ' ').trim() : '';
+    }
+
+    /**
+     * Look up an entry by ref
+     */
+    function lookup(ref) {
+        return (ref && entries.get(ref)) || null;
+    }
+
+    /**
+     * Describe an entry as tooltip lines
+     */
+    function describe(entry) {
+        const lines = [];
+        if (entry.dates) lines.push(`Lebensdaten: ${entry.dates}`);
+        if (entry.placeType) lines.push(`Typ: ${entry.placeType}`);
+        if (entry.definition) lines.push(`Definition: ${entry.definition}`);
+        if (entry.note) lines.push(entry.note);
+        return lines;
+    }
+
+    /**
+     * Short detail line for register entries
+     */
+    function summarize(entry) {
+        return entry.dates || entry.placeType || entry.definition || '';
+    }
+
+    /**
+     * Whether any authority data is loaded
+     */
+    function isLoaded() {
+        return entries.size > 0;
+    }
+
+    /**
+     * Loaded authority files with their entry counts
+     */
+    function getSources() {
+        return sources.slice();
+    }
+
+    /**
+     * Remove all loaded authority data
+     */
+    function clear() {
+        entries = new Map();
+        sources = [];
+    }
+
+    // Public API
+    return {
+        isAuthorityDocument: isAuthorityDocument,
+        load: load,
+        loadDocument: loadDocument,
+        lookup: lookup,
+        describe: describe,
+        summarize: summarize,
+        isLoaded: isLoaded,
+        getSources: getSources,
+        clear: clear
+    };
+})();
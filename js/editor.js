@@ -0,0 +1,190 @@
+/**
+ * QZH Source Editor
+ * Edits the XML of the active document next to the preview. Changes are
+ * re-parsed after a short pause; parse errors are shown in the editor
+ * instead of the error dialog and keep the last valid rendering. The
+ * edited text is downloaded as is, so processing instructions (xml-model,
+ * xml-stylesheet) and formatting stay intact.
+ */
+
+const QZHEditor = (function() {
+    'use strict';
+
+    const DEBOUNCE_MS = 600;
+
+    let paneEl, textareaEl, statusEl, errorEl, toggleBtn, downloadBtn, closeBtn;
+    let debounceTimer = null;
+
+    // Document being edited and its XML as last loaded or applied
+    let editedDoc = null;
+    let appliedXML = '';
+
+    /**
+     * Initialize editor
+     */
+    function init() {
+        paneEl = document.getElementById('editorPane');
+        textareaEl = document.getElementById('xmlEditor');
+        statusEl = document.getElementById('editorStatus');
+        errorEl = document.getElementById('editorError');
+        toggleBtn = document.getElementById('editBtn');
+        downloadBtn = document.getElementById('editorDownload');
+        closeBtn = document.getElementById('editorClose');
+
+        if (!paneEl || !textareaEl || !toggleBtn) {
+            return;
+        }
+
+        toggleBtn.addEventListener('click', function() {
+            if (isOpen()) {
+                close();
+            } else {
+                open();
+            }
+        });
+
+        closeBtn.addEventListener('click', close);
+        downloadBtn.addEventListener('click', download);
+
+        textareaEl.addEventListener('input', function() {
+            setStatus('Wird geprüft …');
+            clearTimeout(debounceTimer);
+            debounceTimer = setTimeout(apply, DEBOUNCE_MS);
+        });
+
+        // Tab inserts indentation instead of leaving the editor
+        textareaEl.addEventListener('keydown', function(e) {
+            if (e.key === 'Tab' && !e.shiftKey && !e.ctrlKey && !e.metaKey && !e.altKey) {
+                e.preventDefault();
+                textareaEl.setRangeText('    ', textareaEl.selectionStart, textareaEl.selectionEnd, 'end');
+                textareaEl.dispatchEvent(new Event('input'));
+            }
+        });
+    }
+
+    /**
+     * Whether the editor is shown
+     */
+    function isOpen() {
+        return Boolean(paneEl && !paneEl.classList.contains('hidden'));
+    }
+
+    /**
+     * Open the editor with the active document
+     */
+    function open() {
+        const doc = QZHApp.getActiveDocument();
+        if (!doc) return;
+
+        editedDoc = doc;
+        appliedXML = doc.xml;
+        textareaEl.value = doc.xml;
+        showError('');
+        setStatus(doc.modified ? 'Geändert' : 'Unverändert');
+
+        paneEl.classList.remove('hidden');
+        document.body.classList.add('qzh-editing');
+        toggleBtn.setAttribute('aria-pressed', 'true');
+        textareaEl.focus();
+    }
+
+    /**
+     * Close the editor, pending changes are applied first
+     */
+    function close() {
+        if (!paneEl) return;
+
+        if (debounceTimer) {
+            clearTimeout(debounceTimer);
+            apply();
+        }
+
+        paneEl.classList.add('hidden');
+        document.body.classList.remove('qzh-editing');
+        toggleBtn.setAttribute('aria-pressed', 'false');
+        editedDoc = null;
+    }
+
+    /**
+     * Follow the active document: reload the editor when another one is
+     * shown or the XML was changed elsewhere (e.g. by annotation mode)
+     */
+    function update() {
+        if (!isOpen()) return;
+
+        const doc = QZHApp.getActiveDocument();
+        if (!doc) {
+            close();
+        } else if (doc !== editedDoc || doc.xml !== appliedXML) {
+            open();
+        }
+    }
+
+    /**
+     * Re-parse the edited text and render it
+     */
+    function apply() {
+        debounceTimer = null;
+        if (!editedDoc) return;
+
+        // Set before rendering, so update() does not reload the editor
+        appliedXML = textareaEl.value;
+        try {
+            QZHApp.updateDocument(editedDoc, appliedXML);
+            showError('');
+            setStatus('Geändert');
+        } catch (err) {
+            appliedXML = editedDoc.xml;
+            showError(err.message.replace(/^XML Parse Error: /, ''));
+            setStatus('Fehler – Vorschau zeigt den letzten gültigen Stand');
+        }
+    }
+
+    /**
+     * Download the edited XML
+     */
+    function download() {
+        if (!editedDoc) return;
+
+        const blob = new Blob([textareaEl.value], { type: 'application/xml;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = editedDoc.filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Show the state of the edited text
+     */
+    function setStatus(text) {
+        statusEl.textContent = text;
+    }
+
+    /**
+     * Show a parse error in the editor, or hide it
+     */
+    function showError(message) {
+        errorEl.textContent = message;
+        errorEl.classList.toggle('hidden', !message);
+        textareaEl.setAttribute('aria-invalid', String(Boolean(message)));
+    }
+
+    // Public API
+    return {
+        init: init,
+        open: open,
+        close: close,
+        update: update
+    };
+})();
+
+// Initialize on DOM ready
+document.addEventListener('DOMContentLoaded', function() {
+    QZHEditor.init();
+});
@@ -0,0 +1,349 @@
+/**
+ * QZH Export
+ * Writes the active document as one self-contained HTML file (CSS inlined,
+ * no scripts) for reviewers without the tool, and prints it via the browser
+ * (PDF). In print, the lettered critical apparatus follows the text, as
+ * with the Apparat toggle in the app. The export menu also offers the edition text,
+ * registers and metadata in other formats (see QZHFormats).
+ */
+
+const QZHExport = (function() {
+    'use strict';
+
+    // Layout of the exported page; apparatus markers only appear in print
+    const EXPORT_CSS = `
+        .qzh-export-section { margin-bottom: 2.5rem; }
+        .qzh-export .qzh-register-count:empty { display: none; }
+        .qzh-export-footer { margin-top: 2rem; font-size: 0.8rem; color: #888; }
+
+        @media print {
+            @page { margin: 2cm; }
+            body { background: white; }
+            .qzh-export .qzh-content-inner { display: block; }
+            .qzh-export .qzh-sidebar { width: auto; position: static; border: none; padding: 0; }
+            .qzh-export-section { break-inside: auto; }
+            .qzh-export-section h2 { break-after: avoid; }
+            .qzh-export .semantic, .qzh-export .text-critical { background: none; border: none; }
+            .qzh-export .apparatus-ref { display: inline; font-size: 0.7em; vertical-align: super; font-style: italic; }
+            .qzh-export .apparatus { display: block; margin-top: 1.5rem; border-top: 1px solid #ccc; padding-top: 0.5rem; font-size: 0.85rem; }
+            .qzh-export .apparatus h4 { margin: 0 0 0.5rem; }
+        }
+    `;
+
+    // Export menu formats: file extension and MIME type
+    const FORMATS = {
+        text: { extension: 'txt', type: 'text/plain' },
+        markdown: { extension: 'md', type: 'text/markdown' },
+        csv: { extension: 'csv', type: 'text/csv' },
+        json: { extension: 'json', type: 'application/json' },
+        jsonld: { extension: 'jsonld', type: 'application/ld+json' },
+        turtle: { extension: 'ttl', type: 'text/turtle' }
+    };
+
+    let exportBtn = null;
+    let exportMenu = null;
+    let printBtn = null;
+
+    /**
+     * Initialize export buttons
+     */
+    function init() {
+        exportBtn = document.getElementById('exportBtn');
+        exportMenu = document.getElementById('exportMenu');
+        printBtn = document.getElementById('printBtn');
+
+        if (exportBtn && exportMenu) {
+            exportBtn.addEventListener('click', () => toggleMenu());
+
+            exportMenu.addEventListener('click', function(e) {
+                const item = e.target.closest('[data-format]');
+                if (item) {
+                    toggleMenu(false);
+                    exportAs(item.getAttribute('data-format'));
+                }
+            });
+
+            exportMenu.addEventListener('keydown', handleMenuKeydown);
+
+            document.addEventListener('click', function(e) {
+                if (!e.target.closest('.qzh-export-menu')) {
+                    toggleMenu(false);
+                }
+            });
+        }
+        if (printBtn) {
+            printBtn.addEventListener('click', () => print());
+        }
+    }
+
+    /**
+     * Show or hide the export menu
+     */
+    function toggleMenu(show) {
+        const visible = show !== undefined ? show : exportMenu.classList.contains('hidden');
+        exportMenu.classList.toggle('hidden', !visible);
+        exportBtn.setAttribute('aria-expanded', String(visible));
+        if (visible) {
+            exportMenu.querySelector('[data-format]').focus();
+        }
+    }
+
+    /**
+     * Arrow keys move between the formats, Escape closes the menu
+     */
+    function handleMenuKeydown(e) {
+        const items = Array.from(exportMenu.querySelectorAll('[data-format]'));
+        const index = items.indexOf(document.activeElement);
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            e.stopPropagation();
+            toggleMenu(false);
+            exportBtn.focus();
+        } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            items[(index + step + items.length) % items.length].focus();
+        }
+    }
+
+    /**
+     * Export the active document in a format of the menu. Text and
+     * Markdown follow the mode of the edition text.
+     */
+    function exportAs(format) {
+        if (format === 'html') {
+            download();
+            return;
+        }
+
+        const doc = QZHApp.getActiveDocument();
+        const spec = FORMATS[format];
+        if (!doc || !spec) return;
+
+        const normalized = QZHApp.isNormalized();
+        const result = QZHApp.getResult(doc, normalized);
+        const fallbackId = QZHApp.extractIdFromFilename(doc.filename);
+        let content;
+        switch (format) {
+            case 'text':
+                content = QZHFormats.toText(result, fallbackId);
+                break;
+            case 'markdown':
+                content = QZHFormats.toMarkdown(result, fallbackId);
+                break;
+            case 'csv':
+                content = QZHFormats.toRegisterCSV(result);
+                break;
+            case 'json':
+                content = QZHFormats.toMetadataJSON(result);
+                break;
+            case 'jsonld':
+                content = QZHFormats.toJSONLD(result, fallbackId);
+                break;
+            case 'turtle':
+                content = QZHFormats.toTurtle(result, fallbackId);
+                break;
+        }
+
+        const base = doc.filename.replace(/\.xml$/i, '');
+        let suffix = '';
+        if (format === 'csv') {
+            suffix = '-register';
+        } else if (format === 'json') {
+            suffix = '-metadaten';
+        } else if (normalized && (format === 'text' || format === 'markdown')) {
+            suffix = '-normalisiert';
+        }
+        save(content, `${base}${suffix}.${spec.extension}`, spec.type);
+    }
+
+    /**
+     * Build the standalone HTML of the active document
+     */
+    async function build() {
+        const doc = QZHApp.getActiveDocument();
+        if (!doc) return null;
+
+        const result = QZHApp.getResult(doc);
+        const heading = result.heading || {};
+        const idno = heading.idno || QZHApp.extractIdFromFilename(doc.filename);
+        const title = heading.title || 'Dokument';
+
+        const body = buildEdition(result);
+        const css = await collectCSS();
+
+        return `<!DOCTYPE html>
+<html lang="de">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHTML(idno)} – ${escapeHTML(title)}</title>
+<style>
+${css}
+${EXPORT_CSS}
+</style>
+</head>
+<body class="qzh-export">
+<div class="qzh-page">
+    <div class="qzh-title-section">
+        <div class="qzh-title-inner">
+            <div class="qzh-doc-id">${escapeHTML(idno)}</div>
+            <h1 class="qzh-doc-title">${escapeHTML(title)}</h1>
+            <div class="qzh-doc-date">${escapeHTML(heading.date || '')}</div>
+        </div>
+    </div>
+    <div class="qzh-content">
+        <div class="qzh-content-inner">
+            <main class="qzh-main">
+                <section class="qzh-export-section">
+                    <h2 class="qzh-section-title">Stückbeschreibung</h2>
+                    <div class="qzh-metadata">${result.metadata ? QZHApp.renderMetadata(result.metadata) : '<p class="no-metadata">Keine Metadaten vorhanden</p>'}</div>
+                </section>
+                <section class="qzh-export-section">
+                    <h2 class="qzh-section-title">Regest</h2>
+                    <div class="qzh-regest">${result.summary || '<p class="no-content">Kein Regest vorhanden</p>'}</div>
+                </section>
+                <section class="qzh-export-section">
+                    <h2 class="qzh-section-title">Editionstext</h2>
+                    <div class="qzh-edition body">${body}</div>
+                </section>
+                <section class="qzh-export-section">
+                    <h2 class="qzh-section-title">Kommentar</h2>
+                    <div class="qzh-comment">${result.back || '<p class="no-content">Kein Kommentar vorhanden</p>'}</div>
+                </section>
+                <p class="qzh-export-footer">Exportiert aus ${escapeHTML(doc.filename)} am ${new Date().toLocaleDateString('de-CH')}</p>
+            </main>
+            <aside class="qzh-sidebar qzh-sidebar-right">
+                <div class="qzh-registers">${result.registers ? QZHApp.renderRegisters(result.registers, result.metadata) : ''}</div>
+            </aside>
+        </div>
+    </div>
+</div>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Render the edition text with footnotes and the lettered apparatus
+     * of the parser, as in the app and the command line renderer
+     */
+    function buildEdition(result) {
+        const container = document.createElement('div');
+        container.innerHTML = result.body || '<p class="no-content">Kein Inhalt vorhanden</p>';
+
+        // Without scripts, tooltips stay available as native titles
+        container.querySelectorAll('[data-tooltip]').forEach(el => {
+            el.setAttribute('title', el.getAttribute('data-tooltip'));
+        });
+
+        let html = container.innerHTML;
+
+        if (result.footnotes && result.footnotes.length > 0) {
+            html += QZHApp.renderFootnotesHTML(result.footnotes, result.texts);
+        }
+
+        html += QZHApparatus.renderHTML(result.apparatus, result.texts);
+
+        return html;
+    }
+
+    /**
+     * Collect the app stylesheet as text. Rules of file:// stylesheets are
+     * not readable in some browsers, then the file is fetched instead.
+     */
+    async function collectCSS() {
+        try {
+            let css = '';
+            for (const sheet of document.styleSheets) {
+                css += Array.from(sheet.cssRules).map(rule => rule.cssText).join('\n');
+            }
+            if (css.trim()) {
+                return css;
+            }
+        } catch (err) {
+            // Fall back to fetching
+        }
+
+        try {
+            const response = await fetch('css/styles.css');
+            if (response.ok) {
+                return await response.text();
+            }
+        } catch (err) {
+            // Export without app styles
+        }
+        return '';
+    }
+
+    /**
+     * Download the export as .html file
+     */
+    async function download() {
+        const html = await build();
+        if (!html) return;
+
+        const doc = QZHApp.getActiveDocument();
+        save(html, doc.filename.replace(/\.xml$/i, '') + '.html', 'text/html');
+    }
+
+    /**
+     * Save text as a file
+     */
+    function save(content, filename, type) {
+        const blob = new Blob([content], { type: `${type};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Print the export (or save it as PDF) from a hidden frame
+     */
+    async function print() {
+        const html = await build();
+        if (!html) return;
+
+        const frame = document.createElement('iframe');
+        frame.className = 'qzh-print-frame';
+        frame.setAttribute('aria-hidden', 'true');
+        frame.addEventListener('load', function() {
+            frame.contentWindow.focus();
+            frame.contentWindow.print();
+            setTimeout(() => frame.remove(), 1000);
+        });
+        frame.srcdoc = html;
+        document.body.appendChild(frame);
+    }
+
+    /**
+     * Escape HTML
+     */
+    function escapeHTML(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Public API
+    return {
+        init: init,
+        build: build,
+        download: download,
+        exportAs: exportAs,
+        print: print
+    };
+})();
+
+// Initialize on DOM ready
+document.addEventListener('DOMContentLoaded', function() {
+    QZHExport.init();
+});
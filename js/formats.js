@@ -0,0 +1,467 @@
+/**
+ * QZH Formats
+ * Converts a transform result to other formats: the edition text as plain
+ * text or Markdown with the footnotes as endnotes, the registers as CSV
+ * and the Stückbeschreibung as JSON. Text marks that the preview adds with
+ * CSS ([...], \…/, [sic]) are written out.
+ *
+ * As linked data (JSON-LD or Turtle), the document is a schema.org resource
+ * with CIDOC CRM classes that mentions its persons, places, organizations
+ * and terms. GND refs become d-nb.info URIs, coordinates geo: URIs and
+ * project ids (PER_…, key…) urn:qzh: URIs.
+ *
+ * Documents without an idno are named by the fallback id of the caller.
+ */
+
+const QZHFormats = (function() {
+    'use strict';
+
+    // Output without text: line numbers and the apparatus, which is not exported
+    const SKIPPED_SELECTOR = '.line-number, .apparatus-ref';
+
+    // Marks added by the stylesheet, see css/styles.css
+    const GENERATED_TEXT = {
+        'tei-gap': ['[...', ']'],
+        'tei-space': ['...', ''],
+        'tei-add': ['\\', '/'],
+        'tei-supplied': ['[', ']'],
+        'tei-sic': ['', ' [sic]'],
+        'tei-orig': ['«', '»'],
+        'tei-q': ['«', '»']
+    };
+
+    const BLOCK_TAGS = ['P', 'DIV', 'SECTION', 'UL', 'OL', 'TABLE', 'TR'];
+
+    // Inline parts of the header of an inner text that stand on their own line
+    const BLOCK_SELECTOR = '.qzh-text-number, .qzh-text-date';
+
+    const REGISTER_TYPES = [
+        ['persons', 'Person'],
+        ['places', 'Ort'],
+        ['organizations', 'Organisation'],
+        ['terms', 'Begriff']
+    ];
+
+    const PREFIXES = {
+        schema: 'https://schema.org/',
+        crm: 'http://www.cidoc-crm.org/cidoc-crm/',
+        xsd: 'http://www.w3.org/2001/XMLSchema#'
+    };
+
+    // Namespace of URIs for project ids without a public URI
+    const LOCAL_BASE = 'urn:qzh:';
+
+    // Register -> local URI part and classes of its entries
+    const ENTITY_TYPES = {
+        persons: { kind: 'person', types: ['schema:Person', 'crm:E21_Person'] },
+        places: { kind: 'place', types: ['schema:Place', 'crm:E53_Place'] },
+        organizations: { kind: 'organization', types: ['schema:Organization', 'crm:E74_Group'] },
+        terms: { kind: 'term', types: ['schema:DefinedTerm', 'crm:E55_Type'] }
+    };
+
+    /**
+     * Edition text as plain text, footnotes as endnotes
+     */
+    function toText(result, fallbackId) {
+        return buildText(result, fallbackId, false);
+    }
+
+    /**
+     * Edition text as Markdown, footnotes as Markdown footnotes
+     */
+    function toMarkdown(result, fallbackId) {
+        return buildText(result, fallbackId, true);
+    }
+
+    /**
+     * Heading, edition text and endnotes
+     */
+    function buildText(result, fallbackId, markdown) {
+        const heading = result.heading || {};
+        const idno = heading.idno || fallbackId;
+        const title = `${idno} – ${heading.title || 'Dokument'}`;
+        const marks = getNoteMarks(result.footnotes || []);
+
+        let text = markdown ? `# ${escapeMarkdown(title)}\n\n` : `${title}\n`;
+        if (heading.date) {
+            text += `${markdown ? escapeMarkdown(heading.date) : heading.date}\n`;
+        }
+        text += '\n' + convertHTML(result.body || '', markdown, marks, false) + '\n';
+
+        if (result.footnotes && result.footnotes.length > 0) {
+            text += markdown ? '\n' : '\n\nAnmerkungen\n\n';
+            for (const fn of result.footnotes) {
+                const content = convertHTML(fn.content, markdown, marks, true);
+                const mark = marks.get(fn.key);
+                text += markdown ? `[^${mark}]: ${content}\n` : `[${mark}] ${content}\n`;
+            }
+        }
+        return text;
+    }
+
+    /**
+     * Mark of each footnote by key; within a group prefixed with the text
+     */
+    function getNoteMarks(footnotes) {
+        const marks = new Map();
+        for (const fn of footnotes) {
+            const label = fn.label || String(fn.number);
+            marks.set(fn.key, fn.text ? `${fn.text}.${label}` : label);
+        }
+        return marks;
+    }
+
+    /**
+     * Convert rendered HTML to text, paragraphs separated by a blank line.
+     * Inline conversion (notes) joins everything to one line.
+     */
+    function convertHTML(html, markdown, marks, inline) {
+        const container = document.createElement('div');
+        container.innerHTML = html;
+
+        let text = convertNode(container, markdown, marks);
+        if (inline) {
+            return text.replace(/\\?\n+/g, ' ').replace(/ {2,}/g, ' ').trim();
+        }
+
+        text = text.split('\n').map(line => line.replace(/ {2,}/g, ' ').trim());
+        if (markdown) {
+            // Hard breaks on empty lines or at the end of a paragraph are left over
+            text = text.map(line => line === '\\' ? '' : line);
+        }
+        text = text.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+        return markdown ? text.replace(/\\(\n\n|$)/g, '$1') : text;
+    }
+
+    /**
+     * Convert a rendered node and its children
+     */
+    function convertNode(node, markdown, marks) {
+        if (node.nodeType === Node.TEXT_NODE) {
+            const text = node.textContent.replace(/\s+/g, ' ');
+            return markdown ? escapeMarkdown(text) : text;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE || node.matches(SKIPPED_SELECTOR)) {
+            return '';
+        }
+
+        if (node.matches('.footnote-ref')) {
+            const key = node.getAttribute('data-footnote');
+            const mark = (key && marks.get(key)) || node.textContent.trim();
+            return markdown ? `[^${mark}]` : `[${mark}]`;
+        }
+
+        if (node.tagName === 'BR') {
+            return markdown ? '\\\n' : '\n';
+        }
+
+        let text = '';
+        for (const child of node.childNodes) {
+            text += convertNode(child, markdown, marks);
+        }
+
+        for (const className of Object.keys(GENERATED_TEXT)) {
+            if (node.classList.contains(className)) {
+                const [before, after] = GENERATED_TEXT[className].map(mark => markdown ? escapeMarkdown(mark) : mark);
+                text = before + text + after;
+            }
+        }
+
+        if (markdown && text.trim()) {
+            if (node.classList.contains('tei-del')) {
+                text = `~~${text}~~`;
+            } else if (node.classList.contains('simple_bold')) {
+                text = `**${text}**`;
+            } else if (node.classList.contains('simple_italic')) {
+                text = `*${text}*`;
+            }
+        } else if (node.classList.contains('tei-del') && text.trim()) {
+            // Leiden convention for deleted text
+            text = `⟦${text}⟧`;
+        }
+
+        const heading = node.tagName.match(/^H([1-6])$/);
+        if (heading) {
+            return markdown ? `\n\n${'#'.repeat(Number(heading[1]))} ${text}\n\n` : `\n\n${text}\n\n`;
+        }
+        if (node.tagName === 'LI') {
+            return markdown ? `\n- ${text}\n` : `\n${text}\n`;
+        }
+        if (node.tagName === 'TD' || node.tagName === 'TH') {
+            return markdown ? `${text} | ` : `${text}\t`;
+        }
+        if (BLOCK_TAGS.includes(node.tagName) || node.matches(BLOCK_SELECTOR)) {
+            return `\n\n${text}\n\n`;
+        }
+        return text;
+    }
+
+    /**
+     * Escape characters with a meaning in Markdown
+     */
+    function escapeMarkdown(text) {
+        return text.replace(/[\\`*_[\]<>#~|]/g, '\\$&');
+    }
+
+    /**
+     * Registers as CSV: one row per entry with its occurrences in the text
+     */
+    function toRegisterCSV(result) {
+        const rows = [['Register', 'Ref', 'Name', 'Rolle', 'Varianten', 'Anzahl']];
+        const registers = result.registers || {};
+
+        for (const [key, label] of REGISTER_TYPES) {
+            for (const entry of registers[key] || []) {
+                rows.push([label, entry.ref, entry.name, entry.role, (entry.variants || []).join('; '), entry.count || 0]);
+            }
+        }
+
+        // BOM, so spreadsheets read the file as UTF-8
+        return '\ufeff' + rows.map(row => row.map(escapeCSV).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Quote a CSV field if needed
+     */
+    function escapeCSV(value) {
+        const text = String(value == null ? '' : value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Stückbeschreibung as JSON
+     */
+    function toMetadataJSON(result) {
+        return JSON.stringify(result.metadata || {}, null, 2) + '\n';
+    }
+
+    /**
+     * Graph of the document: a node has an IRI (none for blank nodes),
+     * classes and properties, whose values are IRIs, literals or nodes
+     */
+    function buildGraph(result, fallbackId) {
+        const metadata = result.metadata || {};
+        const heading = result.heading || {};
+        const idno = heading.idno || fallbackId;
+
+        const properties = [];
+        const add = (predicate, value) => {
+            if (value) properties.push([predicate, value]);
+        };
+
+        add('schema:name', literal(metadata.title || heading.title));
+        add('schema:identifier', literal(idno));
+        add('schema:identifier', literal(metadata.idno));
+        add('schema:dateCreated', dateLiteral(metadata.date));
+        add('schema:inLanguage', literal(metadata.textLang));
+        add('schema:material', literal(metadata.material));
+        if (/^https?:\/\//.test(metadata.idnoSource || '')) {
+            add('schema:sameAs', { iri: metadata.idnoSource });
+        }
+
+        const registers = result.registers || {};
+        for (const key of Object.keys(ENTITY_TYPES)) {
+            for (const entry of registers[key] || []) {
+                add('schema:mentions', buildEntity(entry, ENTITY_TYPES[key]));
+            }
+        }
+
+        for (const keyword of metadata.keywords || []) {
+            add('schema:about', buildEntity({ name: keyword.text, ref: keyword.ref }, ENTITY_TYPES.terms));
+        }
+
+        return {
+            iri: LOCAL_BASE + 'document:' + encodeURIComponent(idno.replace(/\s+/g, '_')),
+            types: ['schema:ArchiveComponent', 'crm:E31_Document'],
+            properties: properties
+        };
+    }
+
+    /**
+     * Node of a register entry, a blank node without ref
+     */
+    function buildEntity(entry, entityType) {
+        const properties = [['schema:name', literal(entry.name)]];
+        for (const variant of entry.variants || []) {
+            properties.push(['schema:alternateName', literal(variant)]);
+        }
+
+        const coords = parseCoordinates(entry.ref);
+        if (coords) {
+            properties.push(['schema:geo', {
+                iri: null,
+                types: ['schema:GeoCoordinates'],
+                properties: [
+                    ['schema:latitude', literal(String(coords.lat), 'xsd:decimal')],
+                    ['schema:longitude', literal(String(coords.lon), 'xsd:decimal')]
+                ]
+            }]);
+        }
+
+        return {
+            iri: refToIRI(entry.ref, entityType.kind),
+            types: entityType.types,
+            properties: properties
+        };
+    }
+
+    /**
+     * URI of a ref: GND ids at the DNB, coordinates as geo: URI, URLs as
+     * they are and other ids in the project namespace
+     */
+    function refToIRI(ref, kind) {
+        if (!ref) return null;
+
+        if (/^https?:\/\//.test(ref)) {
+            return ref;
+        }
+        const gnd = ref.match(/^GND_(.+)$/);
+        if (gnd) {
+            return `https://d-nb.info/gnd/${encodeURIComponent(gnd[1])}`;
+        }
+        const coords = parseCoordinates(ref);
+        if (coords) {
+            return `geo:${coords.lat},${coords.lon}`;
+        }
+        return `${LOCAL_BASE}${kind}:${encodeURIComponent(ref)}`;
+    }
+
+    /**
+     * Coordinates of a LOC_lat_lon ref, as in QZHMap
+     */
+    function parseCoordinates(ref) {
+        const match = (ref || '').match(/^LOC_(-?\d+(?:\.\d+)?)_(-?\d+(?:\.\d+)?)$/);
+        if (!match) return null;
+
+        const lat = parseFloat(match[1]);
+        const lon = parseFloat(match[2]);
+        if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+
+        return { lat, lon };
+    }
+
+    /**
+     * Literal value, null if empty
+     */
+    function literal(value, datatype) {
+        return value ? { value: String(value), datatype: datatype || null } : null;
+    }
+
+    /**
+     * ISO date as literal of the matching XSD type
+     */
+    function dateLiteral(date) {
+        if (/^\d{4}-\d{2}-\d{2}$/.test(date)) return literal(date, 'xsd:date');
+        if (/^\d{4}-\d{2}$/.test(date)) return literal(date, 'xsd:gYearMonth');
+        if (/^\d{4}$/.test(date)) return literal(date, 'xsd:gYear');
+        return literal(date);
+    }
+
+    /**
+     * Document and registers as JSON-LD
+     */
+    function toJSONLD(result, fallbackId) {
+        const data = Object.assign({ '@context': PREFIXES }, nodeToJSONLD(buildGraph(result, fallbackId)));
+        return JSON.stringify(data, null, 2) + '\n';
+    }
+
+    /**
+     * JSON-LD object of a node, repeated properties as arrays
+     */
+    function nodeToJSONLD(node) {
+        const object = {};
+        if (node.iri) {
+            object['@id'] = node.iri;
+        }
+        object['@type'] = node.types.length === 1 ? node.types[0] : node.types;
+
+        for (const [predicate, value] of node.properties) {
+            let json;
+            if (value.types) {
+                json = nodeToJSONLD(value);
+            } else if (value.iri) {
+                json = { '@id': value.iri };
+            } else {
+                json = value.datatype ? { '@value': value.value, '@type': value.datatype } : value.value;
+            }
+
+            if (!(predicate in object)) {
+                object[predicate] = json;
+            } else if (Array.isArray(object[predicate])) {
+                object[predicate].push(json);
+            } else {
+                object[predicate] = [object[predicate], json];
+            }
+        }
+        return object;
+    }
+
+    /**
+     * Document and registers as RDF Turtle
+     */
+    function toTurtle(result, fallbackId) {
+        let turtle = Object.keys(PREFIXES)
+            .map(prefix => `@prefix ${prefix}: <${PREFIXES[prefix]}> .`)
+            .join('\n') + '\n';
+
+        // Entities with a URI get their own block, mentioned by the document
+        const blocks = [];
+        const written = new Set();
+        const collect = node => {
+            if (written.has(node.iri)) return;
+            written.add(node.iri);
+            blocks.push(node);
+            for (const [, value] of node.properties) {
+                if (value.types && value.iri) collect(value);
+            }
+        };
+        collect(buildGraph(result, fallbackId));
+
+        for (const node of blocks) {
+            turtle += `\n<${escapeIRI(node.iri)}> ${nodeToTurtle(node, '    ')} .\n`;
+        }
+        return turtle;
+    }
+
+    /**
+     * Classes and properties of a node in Turtle
+     */
+    function nodeToTurtle(node, indent) {
+        const statements = [`a ${node.types.join(', ')}`];
+        for (const [predicate, value] of node.properties) {
+            statements.push(`${predicate} ${valueToTurtle(value, indent)}`);
+        }
+        return statements.join(` ;\n${indent}`);
+    }
+
+    /**
+     * Turtle term of a property value, blank nodes inline
+     */
+    function valueToTurtle(value, indent) {
+        if (value.types && !value.iri) {
+            return `[\n${indent}    ${nodeToTurtle(value, indent + '    ')}\n${indent}]`;
+        }
+        if (value.iri) {
+            return `<${escapeIRI(value.iri)}>`;
+        }
+        const text = `"${value.value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n').replace(/\r/g, '\\r')}"`;
+        return value.datatype ? `${text}^^${value.datatype}` : text;
+    }
+
+    /**
+     * Escape characters not allowed in a Turtle IRI
+     */
+    function escapeIRI(iri) {
+        return iri.replace(/[\x00-\x20<>"{}|^`\\]/g, char => encodeURIComponent(char));
+    }
+
+    // Public API
+    return {
+        toText: toText,
+        toMarkdown: toMarkdown,
+        toRegisterCSV: toRegisterCSV,
+        toMetadataJSON: toMetadataJSON,
+        toJSONLD: toJSONLD,
+        toTurtle: toTurtle
+    };
+})();
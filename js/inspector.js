@@ -0,0 +1,224 @@
+/**
+ * QZH Annotation Inspector
+ * Clicking an annotated span pins a panel with the full stack of TEI
+ * elements it is part of (e.g. abbr in persName in add): their tooltip
+ * payloads, all attributes and the XML of the clicked element. Unlike the
+ * tooltip, the panel stays open while scrolling until it is closed.
+ */
+
+const QZHInspector = (function() {
+    'use strict';
+
+    // Rendered text the inspector works on
+    const AREA_SELECTOR = '#documentBody, #documentBodyNormalized';
+
+    // Readable labels for common attributes, others are shown by name
+    const ATTRIBUTE_LABELS = {
+        'ref': 'Referenz',
+        'type': 'Typ',
+        'subtype': 'Untertyp',
+        'place': 'Position',
+        'hand': 'Hand',
+        'rend': 'Darstellung',
+        'when': 'Datum',
+        'from': 'Von',
+        'to': 'Bis',
+        'reason': 'Grund',
+        'unit': 'Einheit',
+        'quantity': 'Menge',
+        'resp': 'Verantwortlich',
+        'cert': 'Sicherheit',
+        'wit': 'Textzeuge',
+        'facs': 'Faksimile',
+        'role': 'Rolle',
+        'n': 'Nummer'
+    };
+
+    const MAX_XML_LENGTH = 3000;
+
+    let panelEl = null;
+    let contentEl = null;
+
+    // Area and source node ids of the shown stack, innermost first
+    let currentArea = null;
+    let currentIds = [];
+
+    /**
+     * Initialize inspector
+     */
+    function init() {
+        panelEl = document.getElementById('inspector');
+        contentEl = document.getElementById('inspectorContent');
+
+        if (!panelEl || !contentEl) {
+            return;
+        }
+
+        document.addEventListener('click', function(e) {
+            const annotated = e.target.closest('[data-tooltip]');
+            const area = annotated && annotated.closest(AREA_SELECTOR);
+            // Selecting text is not a click on the annotation
+            const selection = window.getSelection();
+            if (area && (!selection || selection.isCollapsed)) {
+                open(e.target.closest('[data-node-id]'), area);
+            }
+        });
+
+        document.addEventListener('keydown', function(e) {
+            if (e.key === 'Enter' && e.target.matches && e.target.matches('[data-tooltip]') && e.target.closest(AREA_SELECTOR)) {
+                open(e.target.closest('[data-node-id]'), e.target.closest(AREA_SELECTOR));
+            } else if (e.key === 'Escape' && !panelEl.classList.contains('hidden')) {
+                close();
+            }
+        });
+
+        panelEl.querySelector('.qzh-inspector-close').addEventListener('click', close);
+
+        contentEl.addEventListener('click', function(e) {
+            const button = e.target.closest('.qzh-inspector-source');
+            if (button) {
+                QZHSource.reveal(parseInt(button.closest('.qzh-inspector-node').getAttribute('data-node-id'), 10));
+            }
+        });
+
+        // Show which rendered text an entry stands for
+        contentEl.addEventListener('mouseover', function(e) {
+            const entry = e.target.closest('.qzh-inspector-node');
+            markRendered(entry ? entry.getAttribute('data-node-id') : null);
+        });
+        contentEl.addEventListener('mouseleave', () => markRendered(null));
+    }
+
+    /**
+     * Show the element stack of a rendered element
+     */
+    function open(renderedEl, area) {
+        const doc = QZHApp.getActiveDocument();
+        if (!renderedEl || !doc) return;
+
+        let node = QZHParser.findNodeById(doc.xmlDoc, parseInt(renderedEl.getAttribute('data-node-id'), 10));
+        if (!node) return;
+
+        const stack = [];
+        while (node && node.nodeType === Node.ELEMENT_NODE && !isTextBoundary(node)) {
+            stack.push(node);
+            node = node.parentElement;
+        }
+        if (stack.length === 0) return;
+
+        currentArea = area;
+        currentIds = stack.map(el => QZHParser.getNodeId(el));
+
+        contentEl.innerHTML = stack.map(el => renderNode(el, area)).join('') + renderXML(stack[0]);
+        panelEl.classList.remove('hidden');
+
+        if (typeof QZHTooltips !== 'undefined') {
+            QZHTooltips.hide();
+        }
+    }
+
+    /**
+     * Close the panel
+     */
+    function close() {
+        if (!panelEl) return;
+
+        markRendered(null);
+        panelEl.classList.add('hidden');
+        contentEl.innerHTML = '';
+        currentArea = null;
+        currentIds = [];
+    }
+
+    /**
+     * Element names where the stack ends
+     */
+    function isTextBoundary(node) {
+        const name = node.localName || node.nodeName.replace(/^.*:/, '');
+        return name === 'body' || name === 'back' || name === 'text' || name === 'TEI';
+    }
+
+    /**
+     * Render one element of the stack: name, tooltip and attributes
+     */
+    function renderNode(node, area) {
+        const nodeId = QZHParser.getNodeId(node);
+        const rendered = area.querySelector(`[data-node-id="${nodeId}"]`);
+        const tooltip = rendered && rendered.hasAttribute('data-tooltip')
+            ? QZHTooltips.format(rendered.getAttribute('data-tooltip'), rendered.getAttribute('data-tooltip-type') || '', rendered.getAttribute('data-ref') || '')
+            : '';
+
+        const rows = Array.from(node.attributes)
+            .filter(attr => attr.value)
+            .map(attr => `
+                <tr>
+                    <th>${escapeHTML(ATTRIBUTE_LABELS[attr.name] || attr.name)}</th>
+                    <td>${escapeHTML(attr.value)}</td>
+                </tr>
+            `).join('');
+
+        return `
+            <section class="qzh-inspector-node" data-node-id="${nodeId}">
+                <div class="qzh-inspector-node-header">
+                    <h4 class="qzh-inspector-name">&lt;${escapeHTML(node.nodeName)}&gt;</h4>
+                    <button type="button" class="qzh-inspector-source" title="Im XML zeigen">XML</button>
+                </div>
+                ${tooltip ? `<div class="qzh-inspector-tooltip">${tooltip}</div>` : ''}
+                ${rows ? `<table class="qzh-inspector-attributes">${rows}</table>` : ''}
+            </section>
+        `;
+    }
+
+    /**
+     * Render the XML source of an element
+     */
+    function renderXML(node) {
+        let xml = new XMLSerializer().serializeToString(node)
+            .replace(/ xmlns="http:\/\/www\.tei-c\.org\/ns\/1\.0"/g, '');
+        if (xml.length > MAX_XML_LENGTH) {
+            xml = xml.substring(0, MAX_XML_LENGTH) + '…';
+        }
+
+        return `
+            <details class="qzh-inspector-xml">
+                <summary>XML anzeigen</summary>
+                <pre><code>${escapeHTML(xml)}</code></pre>
+            </details>
+        `;
+    }
+
+    /**
+     * Outline the rendered element of a stack entry
+     */
+    function markRendered(nodeId) {
+        document.querySelectorAll('.qzh-inspector-target').forEach(el => el.classList.remove('qzh-inspector-target'));
+
+        if (nodeId && currentArea && currentIds.includes(parseInt(nodeId, 10))) {
+            const rendered = currentArea.querySelector(`[data-node-id="${nodeId}"]`);
+            if (rendered) {
+                rendered.classList.add('qzh-inspector-target');
+            }
+        }
+    }
+
+    /**
+     * Escape HTML
+     */
+    function escapeHTML(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Public API
+    return {
+        init: init,
+        open: open,
+        close: close
+    };
+})();
+
+// Initialize on DOM ready
+document.addEventListener('DOMContentLoaded', function() {
+    QZHInspector.init();
+});
@@ -0,0 +1,205 @@
+/**
+ * QZH Keyboard Navigation
+ * Makes annotations and note references reachable by keyboard and adds
+ * shortcuts: 1–6 switch tabs, n / Shift+N step through annotations,
+ * f / Shift+F through footnotes, ? shows the list of shortcuts.
+ */
+
+const QZHKeyboard = (function() {
+    'use strict';
+
+    // Elements with a tooltip or a click action inside the document views
+    const ANNOTATION_SELECTOR = '[data-tooltip]';
+    const REFERENCE_SELECTOR = '.footnote-ref[data-footnote], .apparatus-ref, .line-number, .pb-marker[data-page]';
+
+    let helpEl = null;
+
+    /**
+     * Initialize shortcuts
+     */
+    function init() {
+        helpEl = document.getElementById('shortcutHelp');
+
+        document.addEventListener('keydown', handleKeydown);
+
+        const tabList = document.querySelector('.qzh-tab-list');
+        if (tabList) {
+            tabList.addEventListener('keydown', handleTabListKeydown);
+        }
+
+        if (helpEl) {
+            helpEl.addEventListener('click', function(e) {
+                if (e.target === helpEl || e.target.closest('.modal-btn')) {
+                    toggleHelp(false);
+                }
+            });
+        }
+    }
+
+    /**
+     * Make annotations and references of the rendered document focusable
+     */
+    function update() {
+        const preview = document.getElementById('preview');
+        if (!preview) return;
+
+        preview.querySelectorAll(ANNOTATION_SELECTOR).forEach(el => {
+            if (!el.hasAttribute('tabindex')) {
+                el.setAttribute('tabindex', '0');
+            }
+        });
+
+        preview.querySelectorAll(REFERENCE_SELECTOR).forEach(el => {
+            el.setAttribute('tabindex', '0');
+            el.setAttribute('role', 'button');
+            if (el.classList.contains('footnote-ref')) {
+                el.setAttribute('aria-label', `Anmerkung ${el.textContent}`);
+            } else if (el.classList.contains('apparatus-ref')) {
+                el.setAttribute('aria-label', `Textkritische Anmerkung ${el.textContent}`);
+            } else if (el.classList.contains('line-number')) {
+                el.setAttribute('aria-label', `Zeile ${el.getAttribute('data-line')} zitieren`);
+            }
+        });
+    }
+
+    /**
+     * Global shortcuts, ignored while typing
+     */
+    function handleKeydown(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey || isTyping(e.target)) {
+            return;
+        }
+
+        // Enter and Space activate focused references like buttons
+        if ((e.key === 'Enter' || e.key === ' ') && e.target.matches && e.target.matches(REFERENCE_SELECTOR)) {
+            e.preventDefault();
+            e.target.click();
+            return;
+        }
+
+        if (e.key === 'Escape' && helpEl && !helpEl.classList.contains('hidden')) {
+            toggleHelp(false);
+            return;
+        }
+
+        if (e.key === '?') {
+            toggleHelp();
+            e.preventDefault();
+            return;
+        }
+
+        const preview = document.getElementById('preview');
+        if (!preview || preview.classList.contains('hidden')) {
+            return;
+        }
+
+        if (/^[1-9]$/.test(e.key)) {
+            const tab = document.querySelectorAll('.qzh-tab')[parseInt(e.key, 10) - 1];
+            if (tab) {
+                tab.click();
+                tab.focus();
+                e.preventDefault();
+            }
+            return;
+        }
+
+        switch (e.key.toLowerCase()) {
+            case 'n':
+                step(ANNOTATION_SELECTOR, e.shiftKey ? -1 : 1);
+                e.preventDefault();
+                break;
+
+            case 'f':
+                step('.footnote-ref[data-footnote]', e.shiftKey ? -1 : 1);
+                e.preventDefault();
+                break;
+        }
+    }
+
+    /**
+     * Arrow keys, Home and End move between tabs
+     */
+    function handleTabListKeydown(e) {
+        const tabs = Array.from(document.querySelectorAll('.qzh-tab'));
+        const index = tabs.indexOf(e.target.closest('.qzh-tab'));
+        if (index < 0) return;
+
+        let next = -1;
+        switch (e.key) {
+            case 'ArrowRight':
+                next = (index + 1) % tabs.length;
+                break;
+            case 'ArrowLeft':
+                next = (index - 1 + tabs.length) % tabs.length;
+                break;
+            case 'Home':
+                next = 0;
+                break;
+            case 'End':
+                next = tabs.length - 1;
+                break;
+        }
+
+        if (next >= 0) {
+            e.preventDefault();
+            e.stopPropagation();
+            tabs[next].click();
+            tabs[next].focus();
+        }
+    }
+
+    /**
+     * Focus the next or previous element in the visible tab
+     */
+    function step(selector, direction) {
+        const panel = document.querySelector('.qzh-tab-content:not(.hidden)');
+        if (!panel) return;
+
+        const elements = Array.from(panel.querySelectorAll(selector))
+            .filter(el => !el.closest('.hidden'));
+        if (elements.length === 0) return;
+
+        const current = elements.indexOf(document.activeElement);
+        let next;
+        if (current >= 0) {
+            next = (current + direction + elements.length) % elements.length;
+        } else {
+            next = direction > 0 ? 0 : elements.length - 1;
+        }
+
+        elements[next].focus();
+        elements[next].scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    /**
+     * Whether keys go to a form field
+     */
+    function isTyping(target) {
+        return Boolean(target && target.closest &&
+            target.closest('input, textarea, select, [contenteditable="true"]'));
+    }
+
+    /**
+     * Show or hide the list of shortcuts
+     */
+    function toggleHelp(show) {
+        if (!helpEl) return;
+
+        const visible = show !== undefined ? show : helpEl.classList.contains('hidden');
+        helpEl.classList.toggle('hidden', !visible);
+        if (visible) {
+            helpEl.querySelector('.modal-btn').focus();
+        }
+    }
+
+    // Public API
+    return {
+        init: init,
+        update: update
+    };
+})();
+
+// Initialize on DOM ready
+document.addEventListener('DOMContentLoaded', function() {
+    QZHKeyboard.init();
+});
@@ -0,0 +1,176 @@
+/**
+ * QZH Line Numbers
+ * Shows the line numbers counted by the parser (restarting at each pb) in
+ * the margin of the edition text. Clicking a number copies a citation like
+ * "QZH 015, S. 2, Z. 14" with a deep link (line=2:14, see QZHRouter).
+ */
+
+const QZHLines = (function() {
+    'use strict';
+
+    const STORAGE_KEY = 'qzh-line-numbers';
+
+    let bodyEl = null;
+    let toggleEl = null;
+
+    /**
+     * Initialize line numbers
+     */
+    function init() {
+        bodyEl = document.getElementById('documentBody');
+        toggleEl = document.getElementById('lineNumbersToggle');
+
+        if (!bodyEl || !toggleEl) {
+            return;
+        }
+
+        try {
+            toggleEl.checked = localStorage.getItem(STORAGE_KEY) === '1';
+        } catch (err) {
+            // Storage unavailable, keep default
+        }
+        applyToggle();
+
+        toggleEl.addEventListener('change', function() {
+            applyToggle();
+            try {
+                localStorage.setItem(STORAGE_KEY, toggleEl.checked ? '1' : '0');
+            } catch (err) {
+                // Storage unavailable, setting lasts for the session
+            }
+        });
+
+        bodyEl.addEventListener('click', function(e) {
+            const marker = e.target.closest('.line-number');
+            if (marker) {
+                copyCitation(marker);
+            }
+        });
+    }
+
+    /**
+     * Show or hide the line numbers
+     */
+    function applyToggle() {
+        bodyEl.classList.toggle('show-line-numbers', toggleEl.checked);
+    }
+
+    /**
+     * Label the markers after a document was rendered
+     */
+    function update() {
+        if (!bodyEl) return;
+
+        bodyEl.querySelectorAll('.line-number').forEach(marker => {
+            marker.setAttribute('title', `${getCitation(marker)} – klicken zum Kopieren`);
+        });
+    }
+
+    /**
+     * Citation of a line
+     */
+    function getCitation(marker) {
+        const docIdEl = document.getElementById('docId');
+        const docId = docIdEl ? docIdEl.textContent.replace(/_/g, ' ').trim() : '';
+        const page = marker.getAttribute('data-page');
+        const line = marker.getAttribute('data-line');
+
+        const parts = [];
+        if (docId) parts.push(docId);
+        if (page) parts.push(`S. ${page}`);
+        parts.push(`Z. ${line}`);
+        return parts.join(', ');
+    }
+
+    /**
+     * Copy the citation of a line to the clipboard
+     */
+    function copyCitation(marker) {
+        const at = `${marker.getAttribute('data-page')}:${marker.getAttribute('data-line')}`;
+        const text = `${getCitation(marker)}, ${QZHRouter.buildLink('line', at)}`;
+
+        QZHRouter.setAnchor('line', at);
+        highlight(marker);
+
+        const done = () => {
+            marker.classList.add('copied');
+            setTimeout(() => marker.classList.remove('copied'), 1500);
+        };
+
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(text).then(done, () => copyFallback(text) && done());
+        } else if (copyFallback(text)) {
+            done();
+        }
+    }
+
+    /**
+     * Copy via a temporary textarea where the clipboard API is unavailable
+     */
+    function copyFallback(text) {
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.setAttribute('readonly', '');
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+
+        let ok = false;
+        try {
+            ok = document.execCommand('copy');
+        } catch (err) {
+            ok = false;
+        }
+        textarea.remove();
+        return ok;
+    }
+
+    /**
+     * Find the marker of a line
+     */
+    function find(page, line) {
+        if (!bodyEl) return null;
+        return Array.from(bodyEl.querySelectorAll('.line-number')).find(marker =>
+            marker.getAttribute('data-page') === String(page) &&
+            marker.getAttribute('data-line') === String(line)) || null;
+    }
+
+    /**
+     * Scroll to a line and highlight it
+     */
+    function reveal(page, line) {
+        const marker = find(page, line);
+        if (!marker) return false;
+
+        const editionTab = document.querySelector('.qzh-tab[data-tab="edition"]');
+        if (editionTab && !editionTab.classList.contains('active')) {
+            editionTab.click();
+        }
+
+        highlight(marker);
+        marker.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        return true;
+    }
+
+    /**
+     * Mark a line as the current target
+     */
+    function highlight(marker) {
+        bodyEl.querySelectorAll('.line-number.line-target').forEach(el => el.classList.remove('line-target'));
+        marker.classList.add('line-target');
+    }
+
+    // Public API
+    return {
+        init: init,
+        update: update,
+        reveal: reveal,
+        getCitation: getCitation
+    };
+})();
+
+// Initialize on DOM ready
+document.addEventListener('DOMContentLoaded', function() {
+    QZHLines.init();
+});
@@ -0,0 +1,265 @@
+/**
+ * QZH Place Map
+ * Draws the places of a document (placeName/@ref="LOC_lat_lon") on an
+ * offline SVG outline and links markers with the edition text
+ */
+
+const QZHMap = (function() {
+    'use strict';
+
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+
+    // Simplified outline of Switzerland [lon, lat], no tile server needed
+    const OUTLINE_SWITZERLAND = [
+        [7.59, 47.59], [7.68, 47.57], [7.90, 47.55], [8.22, 47.61], [8.43, 47.57],
+        [8.45, 47.68], [8.57, 47.81], [8.70, 47.78], [8.85, 47.70], [9.00, 47.67],
+        [9.17, 47.65], [9.55, 47.53], [9.67, 47.39], [9.53, 47.27], [9.47, 47.06],
+        [9.60, 47.06], [9.87, 47.00], [10.10, 46.85], [10.39, 46.96], [10.50, 46.86],
+        [10.45, 46.64], [10.30, 46.55], [10.13, 46.43], [10.15, 46.22], [9.95, 46.38],
+        [9.71, 46.30], [9.45, 46.50], [9.27, 46.45], [9.00, 46.10], [9.05, 45.83],
+        [8.90, 45.86], [8.72, 46.10], [8.45, 46.24], [8.43, 46.46], [8.08, 46.27],
+        [7.86, 45.92], [7.55, 45.98], [7.04, 45.93], [6.80, 46.13], [6.78, 46.40],
+        [6.22, 46.31], [5.96, 46.13], [6.13, 46.59], [6.43, 46.76], [6.70, 47.00],
+        [6.96, 47.24], [7.00, 47.45], [7.20, 47.49], [7.45, 47.42], [7.55, 47.50]
+    ];
+
+    // Lakes drawn as lines for orientation
+    const LAKES = [
+        // Zürichsee
+        [[8.54, 47.365], [8.58, 47.31], [8.67, 47.26], [8.73, 47.23], [8.82, 47.225], [8.95, 47.22]],
+        // Walensee
+        [[9.12, 47.13], [9.25, 47.12], [9.35, 47.125]],
+        // Vierwaldstättersee
+        [[8.31, 47.05], [8.40, 47.00], [8.50, 46.99], [8.59, 46.95], [8.60, 46.90]]
+    ];
+
+    // Minimal extent in degrees, so a single place still shows its surroundings
+    const MIN_SPAN = 0.4;
+    const SCALE = 100;
+
+    let mapEl = null;
+    let bodyEl = null;
+    let currentPlaces = [];
+
+    /**
+     * Initialize map panel
+     */
+    function init() {
+        mapEl = document.getElementById('placeMap');
+        bodyEl = document.getElementById('documentBody');
+
+        if (!mapEl || !bodyEl) {
+            return;
+        }
+
+        // Marker hover highlights the place in the text
+        mapEl.addEventListener('mouseover', function(e) {
+            const marker = e.target.closest('.qzh-map-marker');
+            if (marker) {
+                highlightText(marker.getAttribute('data-ref'), true);
+            }
+        });
+
+        mapEl.addEventListener('mouseout', function(e) {
+            const marker = e.target.closest('.qzh-map-marker');
+            if (marker) {
+                highlightText(marker.getAttribute('data-ref'), false);
+            }
+        });
+
+        // Click on a place in the text focuses its marker
+        bodyEl.addEventListener('click', function(e) {
+            const span = e.target.closest('.semantic.place');
+            if (span) {
+                focusMarker(span.getAttribute('data-ref'));
+            }
+        });
+    }
+
+    /**
+     * Parse coordinates from a LOC_lat_lon reference
+     */
+    function parseCoordinates(ref) {
+        const match = (ref || '').match(/^LOC_(-?\d+(?:\.\d+)?)_(-?\d+(?:\.\d+)?)$/);
+        if (!match) return null;
+
+        const lat = parseFloat(match[1]);
+        const lon = parseFloat(match[2]);
+        if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+
+        return { lat, lon };
+    }
+
+    /**
+     * Render the map for the places register
+     */
+    function render(places) {
+        if (!mapEl) return;
+
+        currentPlaces = (places || [])
+            .map(place => Object.assign({}, place, { coords: parseCoordinates(place.ref) }))
+            .filter(place => place.coords);
+
+        if (currentPlaces.length === 0) {
+            mapEl.classList.add('hidden');
+            mapEl.innerHTML = '';
+            return;
+        }
+
+        const missing = (places || []).length - currentPlaces.length;
+
+        mapEl.classList.remove('hidden');
+        mapEl.innerHTML = `
+            <h3 class="qzh-sidebar-title">
+                <svg viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" stroke-width="2">
+                    <polygon points="1 6 1 22 8 18 16 22 23 18 23 2 16 6 8 2 1 6"/>
+                    <line x1="8" y1="2" x2="8" y2="18"/>
+                    <line x1="16" y1="6" x2="16" y2="22"/>
+                </svg>
+                Karte
+            </h3>
+            ${missing > 0 ? `<p class="qzh-map-note">${missing} Ort${missing === 1 ? '' : 'e'} ohne Koordinaten</p>` : ''}
+        `;
+        mapEl.insertBefore(buildSvg(currentPlaces), mapEl.querySelector('.qzh-map-note'));
+    }
+
+    /**
+     * Build SVG with outline and markers
+     */
+    function buildSvg(places) {
+        const lats = places.map(p => p.coords.lat);
+        const lons = places.map(p => p.coords.lon);
+        const midLat = (Math.min(...lats) + Math.max(...lats)) / 2;
+        const project = createProjection(midLat);
+
+        // Bounding box with padding and minimal extent
+        let minLon = Math.min(...lons), maxLon = Math.max(...lons);
+        let minLat = Math.min(...lats), maxLat = Math.max(...lats);
+        const lonPad = Math.max(MIN_SPAN - (maxLon - minLon), 0) / 2 + (maxLon - minLon) * 0.15;
+        const latPad = Math.max(MIN_SPAN - (maxLat - minLat), 0) / 2 + (maxLat - minLat) * 0.15;
+        const [x1, y1] = project(minLon - lonPad, maxLat + latPad);
+        const [x2, y2] = project(maxLon + lonPad, minLat - latPad);
+        const width = x2 - x1;
+        const height = y2 - y1;
+        const radius = Math.max(width, height) / 60;
+
+        const svg = document.createElementNS(SVG_NS, 'svg');
+        svg.setAttribute('class', 'qzh-map-svg');
+        svg.setAttribute('viewBox', `${x1} ${y1} ${width} ${height}`);
+        svg.setAttribute('role', 'img');
+        svg.setAttribute('aria-label', 'Karte der Orte im Dokument');
+
+        const outline = document.createElementNS(SVG_NS, 'path');
+        outline.setAttribute('class', 'qzh-map-outline');
+        outline.setAttribute('d', toPath(OUTLINE_SWITZERLAND, project) + ' Z');
+        outline.setAttribute('stroke-width', radius / 4);
+        svg.appendChild(outline);
+
+        for (const lake of LAKES) {
+            const path = document.createElementNS(SVG_NS, 'path');
+            path.setAttribute('class', 'qzh-map-lake');
+            path.setAttribute('d', toPath(lake, project));
+            path.setAttribute('stroke-width', radius / 1.5);
+            svg.appendChild(path);
+        }
+
+        for (const place of places) {
+            const [x, y] = project(place.coords.lon, place.coords.lat);
+
+            const marker = document.createElementNS(SVG_NS, 'g');
+            marker.setAttribute('class', 'qzh-map-marker');
+            marker.setAttribute('data-ref', place.ref);
+            marker.setAttribute('tabindex', '0');
+
+            const title = document.createElementNS(SVG_NS, 'title');
+            title.textContent = place.name;
+            marker.appendChild(title);
+
+            const circle = document.createElementNS(SVG_NS, 'circle');
+            circle.setAttribute('cx', x);
+            circle.setAttribute('cy', y);
+            circle.setAttribute('r', radius);
+            circle.setAttribute('stroke-width', radius / 3);
+            marker.appendChild(circle);
+
+            const label = document.createElementNS(SVG_NS, 'text');
+            label.setAttribute('class', 'qzh-map-label');
+            label.setAttribute('x', x + radius * 1.5);
+            label.setAttribute('y', y + radius / 2);
+            label.setAttribute('font-size', radius * 2.8);
+            label.textContent = place.name;
+            marker.appendChild(label);
+
+            svg.appendChild(marker);
+        }
+
+        return svg;
+    }
+
+    /**
+     * Equirectangular projection, corrected for the latitude of the view
+     */
+    function createProjection(midLat) {
+        const factor = Math.cos(midLat * Math.PI / 180);
+        return (lon, lat) => [lon * factor * SCALE, -lat * SCALE];
+    }
+
+    /**
+     * Convert a coordinate list to an SVG path
+     */
+    function toPath(points, project) {
+        return points
+            .map(([lon, lat], i) => {
+                const [x, y] = project(lon, lat);
+                return `${i === 0 ? 'M' : 'L'}${x.toFixed(2)} ${y.toFixed(2)}`;
+            })
+            .join(' ');
+    }
+
+    /**
+     * Highlight all text spans of a place
+     */
+    function highlightText(ref, active) {
+        if (!ref) return;
+        bodyEl.querySelectorAll('.semantic.place').forEach(span => {
+            if (span.getAttribute('data-ref') === ref) {
+                span.classList.toggle('qzh-map-highlight', active);
+            }
+        });
+    }
+
+    /**
+     * Focus the marker of a place
+     */
+    function focusMarker(ref) {
+        if (!mapEl) return;
+
+        let found = null;
+        mapEl.querySelectorAll('.qzh-map-marker').forEach(marker => {
+            const isMatch = Boolean(ref) && marker.getAttribute('data-ref') === ref;
+            marker.classList.toggle('focused', isMatch);
+            if (isMatch) {
+                found = marker;
+            }
+        });
+
+        if (found) {
+            // Draw focused marker on top
+            found.parentNode.appendChild(found);
+            mapEl.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        }
+    }
+
+    // Public API
+    return {
+        init: init,
+        render: render,
+        focus: focusMarker,
+        parseCoordinates: parseCoordinates
+    };
+})();
+
+// Initialize on DOM ready
+document.addEventListener('DOMContentLoaded', function() {
+    QZHMap.init();
+});
@@ -0,0 +1,197 @@
+/**
+ * QZH Register Occurrences
+ * Links register entries with their occurrences in the edition text:
+ * counts, highlighting and stepping through the hits
+ */
+
+const QZHOccurrences = (function() {
+    'use strict';
+
+    // Register entry type -> semantic span selector in the edition text
+    const TYPE_SELECTORS = {
+        'person': '.semantic.person',
+        'place': '.semantic.place',
+        'organization': '.semantic.organization',
+        'term': '.semantic.term',
+        'keyword': '.semantic.term'
+    };
+
+    let registersEl = null;
+    let bodyEl = null;
+    let navEl = null;
+
+    // Current selection
+    let activeItem = null;
+    let matches = [];
+    let currentIndex = -1;
+
+    /**
+     * Initialize occurrence navigation
+     */
+    function init() {
+        registersEl = document.getElementById('registers');
+        bodyEl = document.getElementById('documentBody');
+        navEl = document.getElementById('occurrenceNav');
+
+        if (!registersEl || !bodyEl || !navEl) {
+            return;
+        }
+
+        registersEl.addEventListener('click', function(e) {
+            const item = e.target.closest('.qzh-register-item');
+            if (item) {
+                toggle(item);
+            }
+        });
+
+        registersEl.addEventListener('keydown', function(e) {
+            const item = e.target.closest('.qzh-register-item');
+            if (item && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                toggle(item);
+            }
+        });
+
+        navEl.addEventListener('click', function(e) {
+            const btn = e.target.closest('.qzh-occurrence-btn');
+            if (!btn) return;
+
+            if (btn.classList.contains('qzh-occurrence-close')) {
+                clear();
+            } else {
+                step(parseInt(btn.getAttribute('data-step'), 10));
+            }
+        });
+    }
+
+    /**
+     * Find all spans in the edition text belonging to a register entry
+     */
+    function findOccurrences(item) {
+        const selector = TYPE_SELECTORS[item.getAttribute('data-type')];
+        if (!selector) return [];
+
+        const ref = item.getAttribute('data-ref') || '';
+        const name = item.getAttribute('data-name') || '';
+
+        return Array.from(bodyEl.querySelectorAll(selector)).filter(span => {
+            if (ref) {
+                return span.getAttribute('data-ref') === ref;
+            }
+            return !span.getAttribute('data-ref') && span.getAttribute('data-name') === name;
+        });
+    }
+
+    /**
+     * Refresh occurrence counts after a document was rendered
+     */
+    function update() {
+        if (!registersEl) return;
+
+        clear();
+
+        registersEl.querySelectorAll('.qzh-register-item').forEach(item => {
+            const count = findOccurrences(item).length;
+            const countEl = item.querySelector('.qzh-register-count');
+            if (countEl) {
+                countEl.textContent = count;
+            }
+            item.classList.toggle('no-occurrences', count === 0);
+            item.setAttribute('title', count === 1 ? '1 Vorkommen im Editionstext' : `${count} Vorkommen im Editionstext`);
+        });
+    }
+
+    /**
+     * Select a register entry, or deselect it if already active
+     */
+    function toggle(item) {
+        if (item === activeItem) {
+            clear();
+            return;
+        }
+        select(item);
+    }
+
+    /**
+     * Highlight all occurrences of a register entry and jump to the first
+     */
+    function select(item) {
+        clear();
+
+        matches = findOccurrences(item);
+        if (matches.length === 0) {
+            return;
+        }
+
+        activeItem = item;
+        activeItem.classList.add('active');
+        matches.forEach(span => span.classList.add('qzh-occurrence'));
+
+        // Occurrences live in the edition text
+        const editionTab = document.querySelector('.qzh-tab[data-tab="edition"]');
+        if (editionTab && !editionTab.classList.contains('active')) {
+            editionTab.click();
+        }
+
+        navEl.querySelector('.qzh-occurrence-label').textContent = item.getAttribute('data-name');
+        navEl.classList.remove('hidden');
+
+        goTo(0);
+    }
+
+    /**
+     * Step to the next (1) or previous (-1) occurrence, wrapping around
+     */
+    function step(delta) {
+        if (matches.length === 0) return;
+        goTo((currentIndex + delta + matches.length) % matches.length);
+    }
+
+    /**
+     * Make an occurrence the current one
+     */
+    function goTo(index) {
+        if (matches[currentIndex]) {
+            matches[currentIndex].classList.remove('qzh-occurrence-current');
+        }
+
+        currentIndex = index;
+        const current = matches[currentIndex];
+        current.classList.add('qzh-occurrence-current');
+        current.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+        navEl.querySelector('.qzh-occurrence-position').textContent = `${currentIndex + 1} / ${matches.length}`;
+    }
+
+    /**
+     * Remove all occurrence highlighting
+     */
+    function clear() {
+        matches.forEach(span => span.classList.remove('qzh-occurrence', 'qzh-occurrence-current'));
+        matches = [];
+        currentIndex = -1;
+
+        if (activeItem) {
+            activeItem.classList.remove('active');
+            activeItem = null;
+        }
+
+        if (navEl) {
+            navEl.classList.add('hidden');
+        }
+    }
+
+    // Public API
+    return {
+        init: init,
+        update: update,
+        select: select,
+        step: step,
+        clear: clear
+    };
+})();
+
+// Initialize on DOM ready
+document.addEventListener('DOMContentLoaded', function() {
+    QZHOccurrences.init();
+});
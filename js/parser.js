@@ -2,6 +2,137 @@
  * QZH TEI-XML Parser
  * Transforms TEI-XML to HTML following qzh conventions
  * Based on: https://github.com/stazh/qzh
+ *
+ * Each transform() runs in its own context, with its own element handlers,
+ * so several documents can be transformed at the same time. Available as
+ * global QZHParser, as CommonJS module and as ES module (parser.mjs).
+ */
+
+/**
+ * @typedef {Object} TransformOptions
+ * @property {boolean} [normalized=false] Normalized instead of diplomatic text
+ * @property {'numeric'|'roman'|'alphabetic'} [footnoteStyle='numeric'] Marks of the footnotes (1, i, A)
+ * @property {'de'|'en'} [language='de'] Language of headings, tooltips and notes
+ * @property {HandlerRegistration[]} [handlers] Element handlers adding to or overriding the built-in rules, for this transform only
+ */
+
+/**
+ * @typedef {Object} HandlerRegistration
+ * @property {string} name Local name, e.g. "persName"
+ * @property {ElementHandler} handler
+ * @property {string} [namespace] Namespace URI, TEI by default; other namespaces (e.g. ssrq) need theirs, or "*" for any
+ */
+
+/**
+ * @typedef {Object} TransformResult
+ * @property {Metadata|null} metadata Stückbeschreibung from the teiHeader
+ * @property {string} summary Regest as HTML, empty without summary
+ * @property {Heading|null} heading Title, date and number of the document
+ * @property {string|null} body Edition text as HTML
+ * @property {string|null} back Commentary as HTML
+ * @property {TextHeading[]} texts Inner texts of a group, empty for a single text
+ * @property {Footnote[]} footnotes Footnotes in order of their references
+ * @property {ApparatusEntry[]} apparatus Lettered text-critical notes of the edition text
+ * @property {Registers} registers Tagged entities, deduplicated and sorted
+ * @property {{name: string, nodeId: number}[]} unhandled Elements without a rendering rule
+ */
+
+/**
+ * @typedef {Object} Heading
+ * @property {string} title
+ * @property {string} date Formatted date
+ * @property {string} idno Number in the series, e.g. "QZH 15"
+ */
+
+/**
+ * @typedef {Object} TextHeading
+ * @property {number} index 1-based number of the inner text
+ * @property {string} title
+ * @property {string} date Formatted date
+ */
+
+/**
+ * @typedef {Object} Metadata
+ * @property {string} title
+ * @property {string} idno Signature
+ * @property {string} idnoSource URL of the signature
+ * @property {string} date ISO date
+ * @property {string} dateText Date as written or formatted
+ * @property {{text: string, ref: string}[]} keywords
+ * @property {string} textLang
+ * @property {string} filiation
+ * @property {string} filiationOriginal
+ * @property {string} edition
+ * @property {string} material
+ * @property {string} dimensions
+ * @property {string} condition
+ * @property {string[]} seals
+ * @property {{name: string, role: string}[]} editors
+ */
+
+/**
+ * @typedef {Object} Footnote
+ * @property {number} number Counter, restarting with every inner text
+ * @property {string} label Mark in the footnote style
+ * @property {string} key Unique key, "N" or "T.N" within a group
+ * @property {number} text Index of the inner text, 0 outside groups
+ * @property {string} content Note as HTML
+ */
+
+/**
+ * @typedef {Object} ApparatusEntry
+ * @property {string} letter
+ * @property {string} key Unique key, "a" or "T.a" within a group
+ * @property {number} text Index of the inner text, 0 outside groups
+ * @property {string} lemma Text the note refers to, shortened
+ * @property {string} content Note as plain text
+ */
+
+/**
+ * @typedef {Object} RegisterEntry
+ * @property {string} name Name as in the text
+ * @property {string} ref
+ * @property {string} role
+ * @property {string[]} variants Other spellings with the same ref
+ * @property {number} count Occurrences in the edition text
+ */
+
+/**
+ * @typedef {Object} Registers
+ * @property {RegisterEntry[]} persons
+ * @property {RegisterEntry[]} places
+ * @property {RegisterEntry[]} organizations
+ * @property {RegisterEntry[]} terms
+ */
+
+/**
+ * Renders an element to HTML. Passed to transform() in the handlers option.
+ * @callback ElementHandler
+ * @param {Element} node Source element
+ * @param {ElementHelpers} helpers
+ * @returns {string} HTML, its first tag gets the data-node-id of the element unless it is a child's
+ */
+
+/**
+ * @typedef {Object} ElementHelpers
+ * @property {string} name Local name of the element
+ * @property {string} children HTML of the transformed children, transformed on first access
+ * @property {Object<string, string>} attributes Attributes by name
+ * @property {function(string): string} attr Attribute value, empty if missing
+ * @property {boolean} normalized Normalized instead of diplomatic text
+ * @property {Object} labels Labels in the language of the transform
+ * @property {boolean} inEdition Inside the edition text, which has line numbers and an apparatus
+ * @property {function(Node): string} transformNode Transform another node
+ * @property {function(Element): string} transformChildren Transform the children of another element
+ * @property {function(Element, Element): string} transformAlternate Transform a reading shown in place of the original, counting the original's lines
+ * @property {function(string): Footnote} addFootnote Add a footnote, the reference is up to the handler
+ * @property {function(Element, string): string} addApparatus Add an apparatus note, returns its reference
+ * @property {function(string, {name: string, ref: string, role: string}): void} addEntity Add to the register of a type (person, place, organization, term)
+ * @property {function(): string} lineMarker Count a new line, returns its marker
+ * @property {function(string): void} startPage Restart line counting on a page
+ * @property {function(): string} renderDefault Output of the built-in rule, or the children without one, to wrap it
+ * @property {function(string): string} escapeHTML
+ * @property {function(string): string} escapeAttr
  */
 
 const QZHParser = (function() {
@@ -10,25 +141,156 @@ const QZHParser = (function() {
     // Namespace for TEI
     const TEI_NS = 'http://www.tei-c.org/ns/1.0';
     
-    // Footnote counter
-    let footnoteCounter = 0;
-    let footnotes = [];
+    // Node types, without relying on a global Node
+    const ELEMENT_NODE = 1;
+    const TEXT_NODE = 3;
     
-    // Registers for entities
-    let persons = [];
-    let places = [];
-    let organizations = [];
-    let terms = [];
+    // DOM implementation providing DOMParser: the browser window, or one
+    // set with useDOM() when running in Node (e.g. a jsdom window)
+    let dom = typeof window !== 'undefined' ? window : null;
     
-    // Normalized mode flag - reset at the start of each transform() call
-    // Safe for single-document processing which is the use case here
-    let normalizedMode = false;
+    // Document-order ids of source elements, stamped on the output as data-node-id
+    const nodeIds = new WeakMap();
+    
+    // Marks of footnotes by footnote style
+    const FOOTNOTE_STYLES = {
+        numeric: n => String(n),
+        roman: n => toRoman(n),
+        alphabetic: n => toLetters(n).toUpperCase()
+    };
+    
+    // Labels of the output by language
+    const LABELS = {
+        de: {
+            months: ['Januar', 'Februar', 'März', 'April', 'Mai', 'Juni',
+                     'Juli', 'August', 'September', 'Oktober', 'November', 'Dezember'],
+            day: (day, month, year) => `${day}. ${month} ${year}`,
+            text: 'Text',
+            comment: 'Kommentar',
+            page: 'S.',
+            facsimile: 'Faksimile',
+            entities: { person: 'Person', place: 'Ort', organization: 'Organisation', term: 'Begriff' },
+            ref: 'Ref',
+            role: 'Rolle',
+            sic: 'So im Original',
+            original: 'Im Original',
+            correction: 'Korrektur',
+            regularized: 'Normalisiert',
+            abbreviation: 'Abkürzung',
+            addition: 'Hinzufügung',
+            unknownPlace: 'unbekannt',
+            by: 'von',
+            deletion: 'Gestrichen',
+            struckThrough: 'durchgestrichen',
+            substitution: 'Ersetzung',
+            replacedBy: (del, add) => `«${del}» durch «${add}»`,
+            deleted: del => `«${del}» gestrichen`,
+            supplied: 'Ergänzung',
+            unclear: 'unsichere Lesung',
+            gap: 'Lücke',
+            damage: 'Beschädigung',
+            space: 'Leerraum',
+            readings: 'Varianten',
+            rendition: 'Darstellung',
+            hand: 'Hand',
+            type: 'Typ',
+            figure: 'Abbildung',
+            value: 'Wert',
+            signed: 'Unterzeichnet',
+            handShift: 'Handwechsel',
+            from: 'ab',
+            to: 'bis',
+            between: (from, to) => `zwischen ${from} und ${to}`,
+            notBefore: 'nicht vor',
+            notAfter: 'nicht nach',
+            calendar: 'Kalender',
+            period: 'Periode',
+            duration: 'Dauer',
+            units: {
+                years: ['Jahr', 'Jahre'],
+                months: ['Monat', 'Monate'],
+                weeks: ['Woche', 'Wochen'],
+                days: ['Tag', 'Tage'],
+                hours: ['Stunde', 'Stunden'],
+                minutes: ['Minute', 'Minuten'],
+                seconds: ['Sekunde', 'Sekunden']
+            },
+            repeated: count => count ? `${count}× wiederholt` : 'wiederholt'
+        },
+        en: {
+            months: ['January', 'February', 'March', 'April', 'May', 'June',
+                     'July', 'August', 'September', 'October', 'November', 'December'],
+            day: (day, month, year) => `${day} ${month} ${year}`,
+            text: 'Text',
+            comment: 'Commentary',
+            page: 'p.',
+            facsimile: 'Facsimile',
+            entities: { person: 'Person', place: 'Place', organization: 'Organization', term: 'Term' },
+            ref: 'Ref',
+            role: 'Role',
+            sic: 'Sic',
+            original: 'In the original',
+            correction: 'Correction',
+            regularized: 'Regularized',
+            abbreviation: 'Abbreviation',
+            addition: 'Addition',
+            unknownPlace: 'unknown',
+            by: 'by',
+            deletion: 'Deleted',
+            struckThrough: 'struck through',
+            substitution: 'Substitution',
+            replacedBy: (del, add) => `«${del}» replaced by «${add}»`,
+            deleted: del => `«${del}» deleted`,
+            supplied: 'Supplied',
+            unclear: 'uncertain reading',
+            gap: 'Gap',
+            damage: 'Damage',
+            space: 'Blank space',
+            readings: 'Readings',
+            rendition: 'Rendition',
+            hand: 'Hand',
+            type: 'Type',
+            figure: 'Figure',
+            value: 'Value',
+            signed: 'Signed',
+            handShift: 'Change of hand',
+            from: 'from',
+            to: 'until',
+            between: (from, to) => `between ${from} and ${to}`,
+            notBefore: 'not before',
+            notAfter: 'not after',
+            calendar: 'Calendar',
+            period: 'Period',
+            duration: 'Duration',
+            units: {
+                years: ['year', 'years'],
+                months: ['month', 'months'],
+                weeks: ['week', 'weeks'],
+                days: ['day', 'days'],
+                hours: ['hour', 'hours'],
+                minutes: ['minute', 'minutes'],
+                seconds: ['second', 'seconds']
+            },
+            repeated: count => count ? `repeated ${count}×` : 'repeated'
+        }
+    };
+
+    /**
+     * Set the DOM implementation used for parsing
+     */
+    function useDOM(implementation) {
+        dom = implementation;
+    }
 
     /**
      * Parse XML string to DOM
      */
     function parseXML(xmlString) {
-        const parser = new DOMParser();
+        if (!dom || !dom.DOMParser) {
+            throw new Error('No DOMParser available, set a DOM implementation with QZHParser.useDOM()');
+        }
+        
+        const parser = new dom.DOMParser();
         const doc = parser.parseFromString(xmlString, 'application/xml');
         
         // Check for parse errors
@@ -41,27 +303,24 @@ const QZHParser = (function() {
     }
 
     /**
-     * Main transform function
+     * Main transform function. The options may also be given as a boolean
+     * for the normalized mode.
+     * @param {Document} xmlDoc
+     * @param {TransformOptions|boolean} [options]
+     * @returns {TransformResult}
      */
-    function transform(xmlDoc, normalized = false) {
-        // Set normalized mode
-        normalizedMode = normalized;
-        
-        // Reset footnotes and registers
-        footnoteCounter = 0;
-        footnotes = [];
-        persons = [];
-        places = [];
-        organizations = [];
-        terms = [];
+    function transform(xmlDoc, options = {}) {
+        const ctx = createContext(typeof options === 'boolean' ? { normalized: options } : options);
         
         const result = {
-            metadata: extractMetadata(xmlDoc),
-            summary: extractSummary(xmlDoc),
-            heading: extractHeading(xmlDoc),
+            metadata: extractMetadata(ctx, xmlDoc),
+            summary: extractSummary(ctx, xmlDoc),
+            heading: extractHeading(ctx, xmlDoc),
             body: null,
             back: null,
+            texts: [],
             footnotes: [],
+            apparatus: [],
             registers: {
                 persons: [],
                 places: [],
@@ -70,38 +329,211 @@ const QZHParser = (function() {
             }
         };
         
-        // Transform body
-        const body = xmlDoc.querySelector('body') || xmlDoc.getElementsByTagNameNS(TEI_NS, 'body')[0];
-        if (body) {
-            result.body = transformNode(body);
-        }
-        
-        // Transform back matter
-        const back = xmlDoc.querySelector('back') || xmlDoc.getElementsByTagNameNS(TEI_NS, 'back')[0];
-        if (back) {
-            result.back = transformBackMatter(back);
+        const groupTexts = findGroupTexts(xmlDoc);
+        if (groupTexts.length > 1) {
+            // Every inner text of a group becomes a section of its own
+            transformGroup(ctx, groupTexts, result);
+        } else {
+            // Transform body
+            const body = xmlDoc.querySelector('body') || xmlDoc.getElementsByTagNameNS(TEI_NS, 'body')[0];
+            if (body) {
+                ctx.countLines = true;
+                result.body = transformNode(ctx, body);
+                ctx.countLines = false;
+            }
+            
+            // Transform back matter
+            const back = xmlDoc.querySelector('back') || xmlDoc.getElementsByTagNameNS(TEI_NS, 'back')[0];
+            if (back) {
+                result.back = transformBackMatter(ctx, back);
+            }
         }
         
-        result.footnotes = footnotes;
+        result.footnotes = ctx.footnotes;
+        result.apparatus = ctx.apparatus;
+        result.unhandled = ctx.unhandled;
         
         // Deduplicate and sort registers
-        result.registers.persons = deduplicateEntities(persons);
-        result.registers.places = deduplicateEntities(places);
-        result.registers.organizations = deduplicateEntities(organizations);
-        result.registers.terms = deduplicateEntities(terms);
+        result.registers.persons = deduplicateEntities(ctx.persons);
+        result.registers.places = deduplicateEntities(ctx.places);
+        result.registers.organizations = deduplicateEntities(ctx.organizations);
+        result.registers.terms = deduplicateEntities(ctx.terms);
         
         return result;
     }
     
     /**
-     * Deduplicate entities by ref or name
+     * State of one transform: options, counters, notes and registers
+     */
+    function createContext(options) {
+        const language = options.language || 'de';
+        const footnoteStyle = options.footnoteStyle || 'numeric';
+        if (!LABELS[language]) {
+            throw new Error(`Unknown language: ${language}`);
+        }
+        if (!FOOTNOTE_STYLES[footnoteStyle]) {
+            throw new Error(`Unknown footnote style: ${footnoteStyle}`);
+        }
+        
+        return {
+            normalized: Boolean(options.normalized),
+            labels: LABELS[language],
+            handlers: createHandlerRegistry(options.handlers || []),
+            footnoteLabel: FOOTNOTE_STYLES[footnoteStyle],
+            
+            // Footnotes, numbered per inner text
+            footnoteCounter: 0,
+            footnotes: [],
+            
+            // Lettered apparatus of the edition text (a, b, c …), separate from footnotes
+            apparatusCounter: 0,
+            apparatus: [],
+            
+            // Inner text of a group being transformed (1-based), 0 outside groups
+            textIndex: 0,
+            
+            // Registers for entities
+            persons: [],
+            places: [],
+            organizations: [],
+            terms: [],
+            
+            // Elements without a rendering rule, for validation
+            unhandled: [],
+            
+            // Line counter of the edition text, restarting at each pb
+            countLines: false,
+            // Inside a reading shown in place of the original, whose line breaks count
+            skipLines: false,
+            currentPage: '',
+            currentLine: 0
+        };
+    }
+    
+    /**
+     * Find the inner texts of a group (text/group/text), nested groups included
+     */
+    function findGroupTexts(xmlDoc) {
+        const group = xmlDoc.querySelector('group') || xmlDoc.getElementsByTagNameNS(TEI_NS, 'group')[0];
+        if (!group) return [];
+        
+        return Array.from(group.getElementsByTagNameNS('*', 'text'))
+            .filter(text => findChild(text, 'body'));
+    }
+    
+    /**
+     * Transform the inner texts of a group to sections with their own
+     * heading, date, footnote numbering and apparatus lettering
+     */
+    function transformGroup(ctx, texts, result) {
+        let body = '';
+        let back = '';
+        
+        ctx.countLines = true;
+        texts.forEach((text, i) => {
+            ctx.textIndex = i + 1;
+            ctx.footnoteCounter = 0;
+            ctx.apparatusCounter = 0;
+            
+            const heading = extractTextHeading(ctx, text, ctx.textIndex);
+            result.texts.push(heading);
+            
+            // A title taken from the first head is shown by the body itself
+            const textBody = findChild(text, 'body');
+            const firstHead = textBody.querySelector('head');
+            const showTitle = !firstHead || firstHead.textContent.replace(/\s+/g, ' ').trim() !== heading.title;
+            
+            body += `<section class="qzh-text" data-text="${ctx.textIndex}">`;
+            body += `<div class="qzh-text-header"><span class="qzh-text-number">${ctx.labels.text} ${ctx.textIndex}</span>`;
+            if (showTitle) {
+                body += `<h3 class="qzh-text-title">${escapeHTML(heading.title)}</h3>`;
+            }
+            if (heading.date) {
+                body += `<span class="qzh-text-date">${escapeHTML(heading.date)}</span>`;
+            }
+            body += '</div>';
+            body += transformNode(ctx, textBody);
+            body += '</section>';
+            
+            const textBack = findChild(text, 'back');
+            if (textBack) {
+                back += `<h4 class="qzh-text-comment-title">${escapeHTML(heading.title)}</h4>`;
+                back += transformBackContent(ctx, textBack);
+            }
+        });
+        ctx.countLines = false;
+        ctx.textIndex = 0;
+        
+        result.body = body;
+        result.back = back ? `<h3>${ctx.labels.comment}</h3>` + back : null;
+    }
+    
+    /**
+     * Heading of an inner text: title and date from its front, falling back
+     * to @n or the first head of the body, and the first dated element
+     */
+    function extractTextHeading(ctx, text, index) {
+        const heading = {
+            index: index,
+            title: '',
+            date: ''
+        };
+        
+        const front = findChild(text, 'front');
+        if (front) {
+            const title = front.querySelector('head, titlePart, docTitle');
+            if (title) {
+                heading.title = title.textContent.replace(/\s+/g, ' ').trim();
+            }
+            
+            const docDate = front.querySelector('docDate');
+            if (docDate) {
+                heading.date = docDate.textContent.trim() || formatDate(docDate.getAttribute('when') || '', ctx.labels);
+            }
+        }
+        
+        if (!heading.title && text.getAttribute('n')) {
+            heading.title = text.getAttribute('n');
+        }
+        
+        const body = findChild(text, 'body');
+        if (!heading.title) {
+            const head = body.querySelector('head');
+            heading.title = head ? head.textContent.replace(/\s+/g, ' ').trim() : '';
+        }
+        if (!heading.title) {
+            heading.title = `${ctx.labels.text} ${index}`;
+        }
+        
+        if (!heading.date) {
+            const date = body.querySelector('date[when], date[from]');
+            if (date) {
+                heading.date = formatDate(date.getAttribute('when') || date.getAttribute('from'), ctx.labels);
+            }
+        }
+        
+        return heading;
+    }
+
+    /**
+     * Deduplicate entities by ref or name, counting their occurrences in
+     * the edition text; mentions marked inEdition: false (summary,
+     * commentary) are not counted. Differing names sharing a ref are kept
+     * as variants of the first one.
      */
     function deduplicateEntities(entities) {
         const seen = new Map();
-        for (const entity of entities) {
+        for (const { inEdition, ...entity } of entities) {
             const key = entity.ref || entity.name;
-            if (!seen.has(key)) {
-                seen.set(key, entity);
+            const occurrences = inEdition === false ? 0 : 1;
+            const existing = seen.get(key);
+            if (!existing) {
+                seen.set(key, Object.assign(entity, { variants: [], count: occurrences }));
+                continue;
+            }
+            existing.count += occurrences;
+            if (entity.name !== existing.name && !existing.variants.includes(entity.name)) {
+                existing.variants.push(entity.name);
             }
         }
         return Array.from(seen.values()).sort((a, b) => a.name.localeCompare(b.name, 'de'));
@@ -110,7 +542,7 @@ const QZHParser = (function() {
     /**
      * Extract metadata from teiHeader
      */
-    function extractMetadata(xmlDoc) {
+    function extractMetadata(ctx, xmlDoc) {
         const header = xmlDoc.querySelector('teiHeader') || xmlDoc.getElementsByTagNameNS(TEI_NS, 'teiHeader')[0];
         if (!header) return null;
         
@@ -148,7 +580,7 @@ const QZHParser = (function() {
         const origDate = header.querySelector('origDate') || header.getElementsByTagNameNS(TEI_NS, 'origDate')[0];
         if (origDate) {
             metadata.date = origDate.getAttribute('when') || origDate.getAttribute('from') || '';
-            metadata.dateText = origDate.textContent.trim() || formatDate(metadata.date);
+            metadata.dateText = origDate.textContent.trim() || formatDate(metadata.date, ctx.labels);
         }
         
         // Keywords/Terms
@@ -186,11 +618,11 @@ const QZHParser = (function() {
                 if (dateText) {
                     metadata.filiationOriginal = dateText;
                 } else if (dateWhen) {
-                    metadata.filiationOriginal = formatDate(dateWhen);
+                    metadata.filiationOriginal = formatDate(dateWhen, ctx.labels);
                 } else if (dateFrom && dateTo) {
-                    metadata.filiationOriginal = `${formatDate(dateFrom)} - ${formatDate(dateTo)}`;
+                    metadata.filiationOriginal = `${formatDate(dateFrom, ctx.labels)} - ${formatDate(dateTo, ctx.labels)}`;
                 } else if (dateFrom) {
-                    metadata.filiationOriginal = `ab ${formatDate(dateFrom)}`;
+                    metadata.filiationOriginal = `${ctx.labels.from} ${formatDate(dateFrom, ctx.labels)}`;
                 }
             } else {
                 metadata.filiationOriginal = filiationOriginal.textContent.trim();
@@ -262,14 +694,14 @@ const QZHParser = (function() {
     /**
      * Extract summary (Regest) from teiHeader
      */
-    function extractSummary(xmlDoc) {
+    function extractSummary(ctx, xmlDoc) {
         const header = xmlDoc.querySelector('teiHeader') || xmlDoc.getElementsByTagNameNS(TEI_NS, 'teiHeader')[0];
         if (!header) return '';
 
         const summary = header.querySelector('summary') || header.getElementsByTagNameNS(TEI_NS, 'summary')[0];
         if (!summary) return '';
 
-        const summaryHtml = transformChildren(summary).trim();
+        const summaryHtml = transformChildren(ctx, summary).trim();
         if (summaryHtml) {
             return summaryHtml;
         }
@@ -281,7 +713,7 @@ const QZHParser = (function() {
     /**
      * Extract document heading
      */
-    function extractHeading(xmlDoc) {
+    function extractHeading(ctx, xmlDoc) {
         const header = xmlDoc.querySelector('teiHeader') || xmlDoc.getElementsByTagNameNS(TEI_NS, 'teiHeader')[0];
         if (!header) return null;
         
@@ -301,7 +733,7 @@ const QZHParser = (function() {
         const origDate = header.querySelector('origDate') || header.getElementsByTagNameNS(TEI_NS, 'origDate')[0];
         if (origDate) {
             const when = origDate.getAttribute('when') || origDate.getAttribute('from') || '';
-            heading.date = origDate.textContent.trim() || formatDate(when);
+            heading.date = origDate.textContent.trim() || formatDate(when, ctx.labels);
         }
         
         // ID
@@ -314,20 +746,19 @@ const QZHParser = (function() {
     }
 
     /**
-     * Format ISO date to German format
+     * Format ISO date in the language of the labels, German by default
      */
-    function formatDate(isoDate) {
+    function formatDate(isoDate, labels = LABELS.de) {
         if (!isoDate) return '';
         
         const parts = isoDate.split('-');
-        const months = ['Januar', 'Februar', 'März', 'April', 'Mai', 'Juni', 
-                       'Juli', 'August', 'September', 'Oktober', 'November', 'Dezember'];
+        const months = labels.months;
         
         if (parts.length === 3) {
             const day = parseInt(parts[2], 10);
             const month = months[parseInt(parts[1], 10) - 1];
             const year = parts[0];
-            return `${day}. ${month} ${year}`;
+            return labels.day(day, month, year);
         } else if (parts.length === 2) {
             const month = months[parseInt(parts[1], 10) - 1];
             const year = parts[0];
@@ -336,385 +767,576 @@ const QZHParser = (function() {
         return isoDate;
     }
 
+    /**
+     * Get the document-order id of an element
+     */
+    function getNodeId(node) {
+        const doc = node.ownerDocument;
+        if (!nodeIds.has(doc)) {
+            const ids = new Map();
+            const all = doc.getElementsByTagName('*');
+            for (let i = 0; i < all.length; i++) {
+                ids.set(all[i], i + 1);
+            }
+            nodeIds.set(doc, ids);
+        }
+        return nodeIds.get(doc).get(node) || 0;
+    }
+
+    /**
+     * Find an element by its document-order id
+     */
+    function findNodeById(xmlDoc, id) {
+        return xmlDoc.getElementsByTagName('*')[id - 1] || null;
+    }
+
+    /**
+     * Marker of a new line of the edition text, empty elsewhere
+     */
+    function nextLineMarker(ctx) {
+        return ctx.countLines && !ctx.skipLines ? createLineMarker(ctx) : '';
+    }
+
+    /**
+     * Transform the children of a reading shown in place of the original
+     * one (corr, expan, reg). Lines are counted at the line breaks of the
+     * original, so both modes number them alike.
+     */
+    function transformAlternate(ctx, shown, original) {
+        const skipLines = ctx.skipLines;
+        ctx.skipLines = true;
+        const html = transformChildren(ctx, shown);
+        ctx.skipLines = skipLines;
+        
+        const lineBreaks = original.getElementsByTagNameNS('*', 'lb');
+        return html + Array.from(lineBreaks, () => nextLineMarker(ctx)).join('');
+    }
+
+    /**
+     * Start a new line: empty marker carrying page and line number
+     */
+    function createLineMarker(ctx) {
+        ctx.currentLine++;
+        return `<span class="line-number" data-page="${escapeAttr(ctx.currentPage)}" data-line="${ctx.currentLine}"></span>`;
+    }
+
+    /**
+     * Stamp the source element id on the first tag of its HTML output.
+     * A first tag that already has an id is a child's, returned without
+     * a wrapper of the element's own, and keeps it.
+     */
+    function stampNodeId(node, html) {
+        if (/^<[a-zA-Z][\w-]*\s+data-node-id=/.test(html)) {
+            return html;
+        }
+        return html.replace(/^<([a-zA-Z][\w-]*)/, `<$1 data-node-id="${getNodeId(node)}"`);
+    }
+
     /**
      * Transform a node and its children to HTML
      */
-    function transformNode(node) {
-        if (node.nodeType === Node.TEXT_NODE) {
+    function transformNode(ctx, node) {
+        if (node.nodeType === TEXT_NODE) {
             return escapeHTML(node.textContent);
         }
         
-        if (node.nodeType !== Node.ELEMENT_NODE) {
+        if (node.nodeType !== ELEMENT_NODE) {
             return '';
         }
         
-        const localName = node.localName || node.nodeName.replace(/^.*:/, '');
-        const children = transformChildren(node);
+        return stampNodeId(node, transformElement(ctx, node));
+    }
+
+    /**
+     * Transform an element to HTML with the handler registered for it
+     */
+    function transformElement(ctx, node) {
+        const localName = getLocalName(node);
+        const helpers = createHelpers(ctx, node, localName);
         
-        switch (localName) {
-            // Structure elements
-            case 'body':
-                return `<div class="body">${children}</div>`;
-            
-            case 'div':
-                return `<div class="tei-div">${children}</div>`;
-            
-            case 'p':
-                return `<p class="tei-p">${children}</p>`;
-            
-            case 'ab':
-                const place = node.getAttribute('place');
-                const abClass = place ? 'tei-ab tei-ab1' : 'tei-ab';
-                const abPrefix = buildAbMarker(node);
-                return `<div class="${abClass}">${abPrefix}${children}</div>`;
-            
-            case 'head':
-                const headType = node.getAttribute('type') || '';
-                if (headType === 'subtitle') {
-                    return `<h2 class="tei-head-subtitle">${children}</h2>`;
-                }
-                const level = getHeadingLevel(node);
-                return `<h${level} class="tei-head${level}">${children}</h${level}>`;
-            
-            // Line/page breaks
-            case 'lb':
-                if (normalizedMode) {
-                    // In normalized mode, completely omit line breaks
-                    return '';
-                }
-                // In normal mode, show line breaks
-                const breakAttr = node.getAttribute('break');
-                if (breakAttr === 'no') {
-                    // Hyphen at word break, then line break
-                    return '-<br>';
-                }
-                return '<br>';  // Regular line break
-            
-            case 'pb':
-                const n = node.getAttribute('n') || '';
-                const facs = node.getAttribute('facs') || '';
-                const pageLabel = n ? `S. ${n}` : '';
-                const tooltip = facs ? `data-tooltip="Faksimile: ${facs}" data-tooltip-type="page"` : '';
-                return `<span class="pb-marker" ${tooltip}>[${pageLabel}]</span>`;
-            
-            case 'cb':
-                return '<span class="column-break"> | </span>';
-            
-            // Semantic elements
-            case 'persName':
-                return transformSemanticElement(node, 'person', children);
-            
-            case 'placeName':
-            case 'origPlace':
-                return transformSemanticElement(node, 'place', children);
-            
-            case 'orgName':
-                return transformSemanticElement(node, 'organization', children);
-            
-            case 'term':
-                // Check if inside keywords (metadata) or body text
-                if (isInsideHeader(node)) {
-                    return children;
-                }
-                return transformSemanticElement(node, 'term', children);
-            
-            // Text-critical elements
-            case 'choice':
-                return transformChoice(node);
-            
-            case 'sic':
-                return `<span class="tei-sic text-critical" data-tooltip="So im Original" data-tooltip-type="textcritical">${children}</span>`;
-            
-            case 'corr':
-                return `<span class="tei-corr">${children}</span>`;
-            
-            case 'abbr':
-                const expansion = findSibling(node, 'expan');
-                const expanText = expansion ? expansion.textContent : '';
-                const abbrTooltip = expanText ? `data-tooltip="${escapeAttr(expanText)}" data-tooltip-type="abbr"` : '';
-                return `<span class="tei-abbr text-critical" ${abbrTooltip}>${children}</span>`;
-            
-            case 'expan':
-                // Usually hidden, shown in tooltip of abbr
-                return '';
-            
-            case 'orig':
-                return `<span class="tei-orig">${children}</span>`;
-            
-            case 'reg':
-                // Usually hidden, shown in tooltip
-                return '';
-            
-            case 'add':
-                const addPlace = node.getAttribute('place') || 'unbekannt';
-                const addHand = node.getAttribute('hand') || '';
-                let addInfo = `Hinzufügung (${addPlace})`;
-                if (addHand) addInfo += ` von ${addHand}`;
-                return `<span class="tei-add text-critical" data-tooltip="${escapeAttr(addInfo)}" data-tooltip-type="textcritical">${children}</span>`;
-            
-            case 'del':
-                const delRend = node.getAttribute('rend') || 'durchgestrichen';
-                return `<span class="tei-del text-critical" data-tooltip="Gestrichen: ${delRend}" data-tooltip-type="textcritical">${children}</span>`;
-            
-            case 'subst':
-                return `<span class="tei-subst text-critical" data-tooltip="Ersetzung" data-tooltip-type="textcritical">${children}</span>`;
-            
-            case 'supplied':
-                const suppliedSource = node.getAttribute('source') || node.getAttribute('resp') || '';
-                const suppliedReason = node.getAttribute('reason') || '';
-                let suppliedInfo = 'Ergänzung';
-                if (suppliedReason) suppliedInfo += `: ${suppliedReason}`;
-                if (suppliedSource) suppliedInfo += ` (${suppliedSource})`;
-                return `<span class="tei-supplied text-critical" data-tooltip="${escapeAttr(suppliedInfo)}" data-tooltip-type="textcritical">${children}</span>`;
-            
-            case 'unclear':
-                const unclearReason = node.getAttribute('reason') || 'unsichere Lesung';
-                return `<span class="tei-unclear text-critical" data-tooltip="${escapeAttr(unclearReason)}" data-tooltip-type="textcritical">${children}</span>`;
-            
-            case 'gap':
-                const gapReason = node.getAttribute('reason') || '';
-                const gapUnit = node.getAttribute('unit') || '';
-                const gapQuantity = node.getAttribute('quantity') || '';
-                let gapInfo = 'Lücke';
-                if (gapReason) gapInfo += `: ${gapReason}`;
-                if (gapQuantity && gapUnit) gapInfo += ` (${gapQuantity} ${gapUnit})`;
-                return `<span class="tei-gap text-critical" data-tooltip="${escapeAttr(gapInfo)}" data-tooltip-type="textcritical"></span>`;
-            
-            case 'damage':
-                const damageAgent = node.getAttribute('agent') || 'Beschädigung';
-                return `<span class="tei-damage text-critical" data-tooltip="${escapeAttr(damageAgent)}" data-tooltip-type="textcritical">${children}</span>`;
-            
-            case 'space':
-                const spaceUnit = node.getAttribute('unit') || '';
-                const spaceQuantity = node.getAttribute('quantity') || '';
-                const spaceInfo = spaceQuantity && spaceUnit ? `Leerraum: ${spaceQuantity} ${spaceUnit}` : 'Leerraum';
-                return `<span class="tei-space text-critical" data-tooltip="${escapeAttr(spaceInfo)}" data-tooltip-type="textcritical"></span>`;
-            
-            case 'app':
-                return transformApp(node, children);
-            
-            case 'lem':
-                return `<span class="tei-lem">${children}</span>`;
-            
-            case 'rdg':
-                // Usually in tooltip
-                return '';
-            
-            // Quotes
-            case 'q':
-            case 'quote':
-                return `<span class="tei-q">${children}</span>`;
-            
-            // Highlighting
-            case 'hi':
-                const rend = node.getAttribute('rend') || '';
-                const hiClass = getRenditionClass(rend);
-                const hiTooltip = buildAttributeTooltip(node, {
-                    'rend': 'Darstellung',
-                    'hand': 'Hand',
-                    'type': 'Typ'
-                });
-                const hiClasses = hiTooltip ? `${hiClass} tei-hi-annotated` : hiClass;
-                const hiTooltipAttr = hiTooltip ? ` data-tooltip="${escapeAttr(hiTooltip)}" data-tooltip-type="highlight"` : '';
-                return `<span class="${hiClasses}"${hiTooltipAttr}>${children}</span>`;
-            
-            // Foreign language
-            case 'foreign':
-                const lang = node.getAttribute('xml:lang') || node.getAttribute('lang') || '';
-                return `<span class="tei-foreign" data-lang="${lang}">${children}</span>`;
-            
-            // Notes / Footnotes
-            case 'note':
-                return transformNote(node, children);
-            
-            // References / Links
-            case 'ref':
-                const target = node.getAttribute('target') || '';
-                if (target.startsWith('http')) {
-                    return `<a href="${escapeAttr(target)}" target="_blank" rel="noopener" class="ref-link">${children}</a>`;
-                }
-                return `<span class="tei-ref">${children}</span>`;
-            
-            case 'bibl':
-                const biblType = node.getAttribute('type') || '';
-                if (biblType === 'url') {
-                    const url = node.textContent.trim();
-                    return `<a href="${escapeAttr(url)}" target="_blank" rel="noopener" class="bibl-link">${children}</a>`;
-                }
-                return `<span class="tei-bibl">${children}</span>`;
-            
-            // Figures
-            case 'figure':
-                const figType = node.getAttribute('type') || 'Abbildung';
-                return `<span class="tei-figure" data-tooltip="Abbildung: ${escapeAttr(figType)}" data-tooltip-type="figure">[${figType}]</span>`;
-            
-            case 'figDesc':
-                return `<span class="tei-figDesc">${children}</span>`;
-            
-            // Date/Time
-            case 'date':
-                const dateInfo = buildDateTooltip(node);
-                if (dateInfo) {
-                    const hasDuration = node.hasAttribute('dur-iso') || node.hasAttribute('dur');
-                    const tooltipType = hasDuration ? 'duration' : 'date';
-                    return `<span class="tei-date text-critical" data-tooltip="${escapeAttr(dateInfo)}" data-tooltip-type="${tooltipType}">${children}</span>`;
-                }
-                return `<span class="tei-date">${children}</span>`;
-            
-            case 'origDate':
-                // In metadata context, this is handled separately
-                return `<span class="tei-origDate">${children}</span>`;
-            
-            case 'time':
-                const timeWhen = node.getAttribute('when') || '';
-                if (timeWhen) {
-                    return `<span class="tei-time text-critical" data-tooltip="${escapeAttr(timeWhen)}" data-tooltip-type="time">${children}</span>`;
-                }
-                return `<span class="tei-time">${children}</span>`;
-            
-            // Measurements
-            case 'measure':
-                const measType = node.getAttribute('type') || '';
-                const measUnit = node.getAttribute('unit') || '';
-                const measQuantity = node.getAttribute('quantity') || '';
-                const measCommodity = node.getAttribute('commodity') || '';
-                let measInfo = [];
-                if (measQuantity) measInfo.push(measQuantity);
-                if (measUnit) measInfo.push(measUnit);
-                if (measCommodity) measInfo.push(measCommodity);
-                if (measType) measInfo.push(`(${measType})`);
-                const measTooltip = measInfo.length ? measInfo.join(' ') : '';
-                if (measTooltip) {
-                    return `<span class="tei-measure text-critical" data-tooltip="${escapeAttr(measTooltip)}" data-tooltip-type="measure">${children}</span>`;
-                }
-                return `<span class="tei-measure">${children}</span>`;
-            
-            case 'num':
-                const numValue = node.getAttribute('value') || '';
-                if (numValue) {
-                    return `<span class="tei-num text-critical" data-tooltip="Wert: ${escapeAttr(numValue)}" data-tooltip-type="num">${children}</span>`;
-                }
-                return `<span class="tei-num">${children}</span>`;
-            
-            // Signed
-            case 'signed':
-                return `<div class="tei-signed">[Unterzeichnet:] ${children}</div>`;
-            
-            // Tables
-            case 'table':
-                return `<table class="tei-table">${children}</table>`;
-            
-            case 'row':
-                const rowRole = node.getAttribute('role') || '';
-                const rowClass = rowRole === 'label' ? 'tei-row tei-row1' : 'tei-row';
-                return `<tr class="${rowClass}">${children}</tr>`;
-            
-            case 'cell':
-                const cellRole = node.parentElement?.getAttribute('role') || '';
-                const cellTag = cellRole === 'label' ? 'th' : 'td';
-                return `<${cellTag} class="tei-cell">${children}</${cellTag}>`;
-            
-            // Lists
-            case 'list':
-                const listType = node.getAttribute('type') || '';
-                const listTag = listType === 'ordered' ? 'ol' : 'ul';
-                return `<${listTag} class="tei-list">${children}</${listTag}>`;
-            
-            case 'item':
-                return `<li class="tei-item">${children}</li>`;
-            
-            case 'label':
-                const labelType = node.getAttribute('type') || '';
-                const labelClass = labelType === 'keyword' ? 'tei-label tei-label1' : 'tei-label';
-                return `<span class="${labelClass}">${children}</span>`;
-            
-            // Segments
-            case 'seg':
-                if (normalizedMode) {
-                    const segN = node.getAttribute('n') || '';
-                    const segLabel = segN ? `<span class="tei-seg-label">[${escapeHTML(segN)}]</span> ` : '';
-                    return `<span class="tei-seg tei-seg-normalized">${segLabel}${children}</span>`;
+        const handler = findHandler(ctx.handlers, node, localName);
+        if (handler) {
+            return handler(node, helpers) || '';
+        }
+        
+        // No rendering rule, keep children
+        ctx.unhandled.push({ name: node.nodeName, nodeId: getNodeId(node) });
+        return helpers.renderDefault();
+    }
+
+    /**
+     * Local name of an element, without prefix
+     */
+    function getLocalName(node) {
+        return node.localName || node.nodeName.replace(/^.*:/, '');
+    }
+
+    /**
+     * Handler of an element: registered for its namespace, for any
+     * namespace ("*"), or the TEI rule of the same name, so elements
+     * without or with another namespace render like TEI as before
+     */
+    function findHandler(handlers, node, localName) {
+        const namespace = node.namespaceURI || '';
+        return handlers.get(handlerKey(namespace, localName)) ||
+            handlers.get(handlerKey('*', localName)) ||
+            handlers.get(handlerKey(TEI_NS, localName)) ||
+            null;
+    }
+
+    /**
+     * Registry key of an element handler
+     */
+    function handlerKey(namespace, name) {
+        return `${namespace}#${name}`;
+    }
+
+    /**
+     * Handlers of one transform: the built-in rules, with the given
+     * handlers added or overriding them. Registering a TEI name replaces
+     * the built-in rule.
+     * @param {HandlerRegistration[]} registrations
+     */
+    function createHandlerRegistry(registrations) {
+        const handlers = new Map(BUILTIN_REGISTRY);
+        for (const { name, handler, namespace } of registrations) {
+            if (typeof handler !== 'function') {
+                throw new TypeError(`Handler for ${name} is not a function`);
+            }
+            handlers.set(handlerKey(namespace || TEI_NS, name), handler);
+        }
+        return handlers;
+    }
+
+    /**
+     * Helpers passed to element handlers: the element's children and
+     * attributes, the transform state and the note and register functions
+     * @returns {ElementHelpers}
+     */
+    function createHelpers(ctx, node, localName) {
+        let children = null;
+        const helpers = {
+            name: localName,
+            // Transformed on first use, so parts a handler renders itself
+            // (choice, app) or leaves out (expan, rdg) add no notes, lines
+            // or register entries
+            get children() {
+                if (children === null) {
+                    children = transformChildren(ctx, node);
                 }
-                return `<span class="tei-seg">${children}</span>`;
-            
-            // Handshift
-            case 'handShift':
-                const newHand = node.getAttribute('new') || '';
-                addFootnote(`Handwechsel${newHand ? ': ' + newHand : ''}`);
-                return `<span class="footnote-ref">${footnoteCounter}</span>`;
-            
-            // Default: just return children
-            default:
                 return children;
-        }
+            },
+            attributes: Object.fromEntries(Array.from(node.attributes, attr => [attr.name, attr.value])),
+            attr: name => node.getAttribute(name) || '',
+            normalized: ctx.normalized,
+            labels: ctx.labels,
+            inEdition: ctx.countLines,
+            transformNode: child => transformNode(ctx, child),
+            transformChildren: parent => transformChildren(ctx, parent),
+            addFootnote: content => addFootnote(ctx, content),
+            addApparatus: (target, content) => addApparatus(ctx, target, content),
+            addEntity: (type, entity) => addEntity(ctx, type, entity),
+            transformAlternate: (shown, original) => transformAlternate(ctx, shown, original),
+            lineMarker: () => nextLineMarker(ctx),
+            startPage: n => {
+                if (ctx.countLines && !ctx.skipLines) {
+                    ctx.currentPage = n;
+                    ctx.currentLine = 0;
+                }
+            },
+            renderDefault: () => {
+                const builtin = BUILTIN_HANDLERS[localName];
+                return builtin ? builtin(node, helpers) : helpers.children;
+            },
+            escapeHTML: escapeHTML,
+            escapeAttr: escapeAttr
+        };
+        return helpers;
     }
 
+    // Built-in rendering rules of TEI elements, registered like custom handlers
+    const BUILTIN_HANDLERS = {
+        // Structure elements
+        body: (node, h) => `<div class="body">${h.children}</div>`,
+        
+        div: (node, h) => `<div class="tei-div">${h.children}</div>`,
+        
+        p: (node, h) => `<p class="tei-p">${h.children}</p>`,
+        
+        ab: (node, h) => {
+            const abClass = h.attr('place') ? 'tei-ab tei-ab1' : 'tei-ab';
+            return `<div class="${abClass}">${buildAbMarker(node)}${h.children}</div>`;
+        },
+        
+        head: (node, h) => {
+            if (h.attr('type') === 'subtitle') {
+                return `<h2 class="tei-head-subtitle">${h.children}</h2>`;
+            }
+            const level = getHeadingLevel(node);
+            return `<h${level} class="tei-head${level}">${h.children}</h${level}>`;
+        },
+        
+        // Line/page breaks
+        lb: (node, h) => {
+            // Counted in both modes, so citations stay the same; readings
+            // that are not shown (expan, reg, rdg) are not transformed
+            const lineMarker = h.lineMarker();
+            if (h.normalized) {
+                // In normalized mode, omit line breaks and keep only the marker
+                return lineMarker;
+            }
+            // In normal mode, show line breaks
+            if (h.attr('break') === 'no') {
+                // Hyphen at word break, then line break
+                return `<span class="tei-lb-hyphen">-</span><br>${lineMarker}`;
+            }
+            return `<br>${lineMarker}`;  // Regular line break
+        },
+        
+        pb: (node, h) => {
+            const n = h.attr('n');
+            const facs = h.attr('facs');
+            const pageLabel = n ? `${h.labels.page} ${n}` : '';
+            const tooltip = facs ? `data-tooltip="${h.labels.facsimile}: ${facs}" data-tooltip-type="page"` : '';
+            let pageMarker = `<span class="pb-marker" data-page="${escapeAttr(n)}" ${tooltip}>[${pageLabel}]</span>`;
+            h.startPage(n);
+            // Page break within a word: the rest of the line is line 1
+            if (h.attr('break') === 'no') {
+                pageMarker += h.lineMarker();
+            }
+            return pageMarker;
+        },
+        
+        cb: () => '<span class="column-break"> | </span>',
+        
+        // Semantic elements
+        persName: (node, h) => transformSemanticElement(node, h, 'person'),
+        
+        placeName: (node, h) => transformSemanticElement(node, h, 'place'),
+        
+        origPlace: (node, h) => transformSemanticElement(node, h, 'place'),
+        
+        orgName: (node, h) => transformSemanticElement(node, h, 'organization'),
+        
+        term: (node, h) => {
+            // Check if inside keywords (metadata) or body text
+            if (isInsideHeader(node)) {
+                return h.children;
+            }
+            return transformSemanticElement(node, h, 'term');
+        },
+        
+        // Text-critical elements
+        choice: (node, h) => transformChoice(node, h),
+        
+        sic: (node, h) => `<span class="tei-sic text-critical" data-tooltip="${h.labels.sic}" data-tooltip-type="textcritical">${h.children}</span>` +
+            h.addApparatus(node, h.labels.sic),
+        
+        corr: (node, h) => `<span class="tei-corr">${h.children}</span>`,
+        
+        abbr: (node, h) => {
+            const expansion = findSibling(node, 'expan');
+            const expanText = expansion ? expansion.textContent : '';
+            if (h.normalized && expansion) {
+                // Normalized text shows the expansion, the abbreviation goes to the tooltip
+                const abbrText = node.textContent.trim();
+                return `<span class="tei-expan text-critical" data-tooltip="${h.labels.abbreviation}: ${escapeAttr(abbrText)}" data-tooltip-type="abbr" data-alt="${escapeAttr(abbrText)}">${h.transformAlternate(expansion, node)}</span>`;
+            }
+            const abbrTooltip = expanText ? `data-tooltip="${escapeAttr(expanText)}" data-tooltip-type="abbr" data-alt="${escapeAttr(expanText)}"` : '';
+            return `<span class="tei-abbr text-critical" ${abbrTooltip}>${h.children}</span>`;
+        },
+        
+        // Usually hidden, shown in tooltip of abbr
+        expan: () => '',
+        
+        orig: (node, h) => `<span class="tei-orig">${h.children}</span>`,
+        
+        // Usually hidden, shown in tooltip
+        reg: () => '',
+        
+        add: (node, h) => {
+            const addPlace = h.attr('place') || h.labels.unknownPlace;
+            const addHand = h.attr('hand');
+            let addInfo = `${h.labels.addition} (${addPlace})`;
+            if (addHand) addInfo += ` ${h.labels.by} ${addHand}`;
+            return `<span class="tei-add text-critical" data-tooltip="${escapeAttr(addInfo)}" data-tooltip-type="textcritical">${h.children}</span>` +
+                (isInsideSubst(node) ? '' : h.addApparatus(node, addInfo));
+        },
+        
+        del: (node, h) => {
+            const delRend = h.attr('rend') || h.labels.struckThrough;
+            return `<span class="tei-del text-critical" data-tooltip="${h.labels.deletion}: ${delRend}" data-tooltip-type="textcritical">${h.children}</span>` +
+                (isInsideSubst(node) ? '' : h.addApparatus(node, `${h.labels.deletion}: ${delRend}`));
+        },
+        
+        subst: (node, h) => {
+            // The note stands at the added reading
+            const substAdd = findChild(node, 'add');
+            return `<span class="tei-subst text-critical" data-tooltip="${h.labels.substitution}" data-tooltip-type="textcritical">${h.children}</span>` +
+                h.addApparatus(substAdd || node, buildSubstNote(node, h.labels));
+        },
+        
+        supplied: (node, h) => {
+            const suppliedSource = h.attr('source') || h.attr('resp');
+            const suppliedReason = h.attr('reason');
+            let suppliedInfo = h.labels.supplied;
+            if (suppliedReason) suppliedInfo += `: ${suppliedReason}`;
+            if (suppliedSource) suppliedInfo += ` (${suppliedSource})`;
+            return `<span class="tei-supplied text-critical" data-tooltip="${escapeAttr(suppliedInfo)}" data-tooltip-type="textcritical">${h.children}</span>`;
+        },
+        
+        unclear: (node, h) => {
+            const unclearReason = h.attr('reason') || h.labels.unclear;
+            return `<span class="tei-unclear text-critical" data-tooltip="${escapeAttr(unclearReason)}" data-tooltip-type="textcritical">${h.children}</span>` +
+                h.addApparatus(node, unclearReason);
+        },
+        
+        gap: (node, h) => {
+            const gapReason = h.attr('reason');
+            const gapUnit = h.attr('unit');
+            const gapQuantity = h.attr('quantity');
+            let gapInfo = h.labels.gap;
+            if (gapReason) gapInfo += `: ${gapReason}`;
+            if (gapQuantity && gapUnit) gapInfo += ` (${gapQuantity} ${gapUnit})`;
+            return `<span class="tei-gap text-critical" data-tooltip="${escapeAttr(gapInfo)}" data-tooltip-type="textcritical"></span>` +
+                h.addApparatus(node, gapInfo);
+        },
+        
+        damage: (node, h) => {
+            const damageAgent = h.attr('agent') || h.labels.damage;
+            return `<span class="tei-damage text-critical" data-tooltip="${escapeAttr(damageAgent)}" data-tooltip-type="textcritical">${h.children}</span>`;
+        },
+        
+        space: (node, h) => {
+            const spaceUnit = h.attr('unit');
+            const spaceQuantity = h.attr('quantity');
+            const spaceInfo = spaceQuantity && spaceUnit ? `${h.labels.space}: ${spaceQuantity} ${spaceUnit}` : h.labels.space;
+            return `<span class="tei-space text-critical" data-tooltip="${escapeAttr(spaceInfo)}" data-tooltip-type="textcritical"></span>`;
+        },
+        
+        app: (node, h) => transformApp(node, h),
+        
+        lem: (node, h) => `<span class="tei-lem">${h.children}</span>`,
+        
+        // Usually in tooltip
+        rdg: () => '',
+        
+        // Quotes
+        q: (node, h) => `<span class="tei-q">${h.children}</span>`,
+        
+        quote: (node, h) => `<span class="tei-q">${h.children}</span>`,
+        
+        // Highlighting
+        hi: (node, h) => {
+            const hiClass = getRenditionClass(h.attr('rend'));
+            const hiTooltip = buildAttributeTooltip(node, {
+                'rend': h.labels.rendition,
+                'hand': h.labels.hand,
+                'type': h.labels.type
+            });
+            const hiClasses = hiTooltip ? `${hiClass} tei-hi-annotated` : hiClass;
+            const hiTooltipAttr = hiTooltip ? ` data-tooltip="${escapeAttr(hiTooltip)}" data-tooltip-type="highlight"` : '';
+            return `<span class="${hiClasses}"${hiTooltipAttr}>${h.children}</span>`;
+        },
+        
+        // Foreign language
+        foreign: (node, h) => {
+            const lang = h.attr('xml:lang') || h.attr('lang');
+            return `<span class="tei-foreign" data-lang="${lang}">${h.children}</span>`;
+        },
+        
+        // Notes / Footnotes
+        note: (node, h) => transformNote(node, h),
+        
+        // References / Links
+        ref: (node, h) => {
+            const target = h.attr('target');
+            if (target.startsWith('http')) {
+                return `<a href="${escapeAttr(target)}" target="_blank" rel="noopener" class="ref-link">${h.children}</a>`;
+            }
+            return `<span class="tei-ref">${h.children}</span>`;
+        },
+        
+        bibl: (node, h) => {
+            if (h.attr('type') === 'url') {
+                const url = node.textContent.trim();
+                return `<a href="${escapeAttr(url)}" target="_blank" rel="noopener" class="bibl-link">${h.children}</a>`;
+            }
+            return `<span class="tei-bibl">${h.children}</span>`;
+        },
+        
+        // Figures
+        figure: (node, h) => {
+            const figType = h.attr('type') || h.labels.figure;
+            return `<span class="tei-figure" data-tooltip="${h.labels.figure}: ${escapeAttr(figType)}" data-tooltip-type="figure">[${figType}]</span>`;
+        },
+        
+        figDesc: (node, h) => `<span class="tei-figDesc">${h.children}</span>`,
+        
+        // Date/Time
+        date: (node, h) => {
+            const dateInfo = buildDateTooltip(node, h.labels);
+            if (dateInfo) {
+                const hasDuration = node.hasAttribute('dur-iso') || node.hasAttribute('dur');
+                const tooltipType = hasDuration ? 'duration' : 'date';
+                return `<span class="tei-date text-critical" data-tooltip="${escapeAttr(dateInfo)}" data-tooltip-type="${tooltipType}">${h.children}</span>`;
+            }
+            return `<span class="tei-date">${h.children}</span>`;
+        },
+        
+        // In metadata context, this is handled separately
+        origDate: (node, h) => `<span class="tei-origDate">${h.children}</span>`,
+        
+        time: (node, h) => {
+            const timeWhen = h.attr('when');
+            if (timeWhen) {
+                return `<span class="tei-time text-critical" data-tooltip="${escapeAttr(timeWhen)}" data-tooltip-type="time">${h.children}</span>`;
+            }
+            return `<span class="tei-time">${h.children}</span>`;
+        },
+        
+        // Measurements
+        measure: (node, h) => {
+            const measInfo = [];
+            if (h.attr('quantity')) measInfo.push(h.attr('quantity'));
+            if (h.attr('unit')) measInfo.push(h.attr('unit'));
+            if (h.attr('commodity')) measInfo.push(h.attr('commodity'));
+            if (h.attr('type')) measInfo.push(`(${h.attr('type')})`);
+            const measTooltip = measInfo.join(' ');
+            if (measTooltip) {
+                return `<span class="tei-measure text-critical" data-tooltip="${escapeAttr(measTooltip)}" data-tooltip-type="measure">${h.children}</span>`;
+            }
+            return `<span class="tei-measure">${h.children}</span>`;
+        },
+        
+        num: (node, h) => {
+            const numValue = h.attr('value');
+            if (numValue) {
+                return `<span class="tei-num text-critical" data-tooltip="${h.labels.value}: ${escapeAttr(numValue)}" data-tooltip-type="num">${h.children}</span>`;
+            }
+            return `<span class="tei-num">${h.children}</span>`;
+        },
+        
+        // Signed
+        signed: (node, h) => `<div class="tei-signed">[${h.labels.signed}:] ${h.children}</div>`,
+        
+        // Tables
+        table: (node, h) => `<table class="tei-table">${h.children}</table>`,
+        
+        row: (node, h) => {
+            const rowClass = h.attr('role') === 'label' ? 'tei-row tei-row1' : 'tei-row';
+            return `<tr class="${rowClass}">${h.children}</tr>`;
+        },
+        
+        cell: (node, h) => {
+            const cellRole = node.parentElement?.getAttribute('role') || '';
+            const cellTag = cellRole === 'label' ? 'th' : 'td';
+            return `<${cellTag} class="tei-cell">${h.children}</${cellTag}>`;
+        },
+        
+        // Lists
+        list: (node, h) => {
+            const listTag = h.attr('type') === 'ordered' ? 'ol' : 'ul';
+            return `<${listTag} class="tei-list">${h.children}</${listTag}>`;
+        },
+        
+        item: (node, h) => `<li class="tei-item">${h.children}</li>`,
+        
+        label: (node, h) => {
+            const labelClass = h.attr('type') === 'keyword' ? 'tei-label tei-label1' : 'tei-label';
+            return `<span class="${labelClass}">${h.children}</span>`;
+        },
+        
+        // Segments
+        seg: (node, h) => {
+            if (h.normalized) {
+                const segN = h.attr('n');
+                const segLabel = segN ? `<span class="tei-seg-label">[${escapeHTML(segN)}]</span> ` : '';
+                return `<span class="tei-seg tei-seg-normalized">${segLabel}${h.children}</span>`;
+            }
+            return `<span class="tei-seg">${h.children}</span>`;
+        },
+        
+        // Handshift
+        handShift: (node, h) => {
+            const newHand = h.attr('new');
+            const footnote = h.addFootnote(`${h.labels.handShift}${newHand ? ': ' + newHand : ''}`);
+            return `<span class="footnote-ref" data-footnote="${footnote.key}">${footnote.label}</span>`;
+        }
+    };
+
     /**
      * Transform children of a node
      */
-    function transformChildren(node) {
+    function transformChildren(ctx, node) {
         let result = '';
         for (const child of node.childNodes) {
-            result += transformNode(child);
+            result += transformNode(ctx, child);
         }
         return result;
     }
 
     /**
-     * Transform semantic element (persName, placeName, term, etc.)
+     * Add an entity to its register
      */
-    function transformSemanticElement(node, type, children) {
-        const ref = node.getAttribute('ref') || '';
-        const role = node.getAttribute('role') || '';
-        const name = node.textContent.trim();
-        
-        // Add to register
-        const entity = { name, ref, role };
+    function addEntity(ctx, type, entity) {
+        entity = Object.assign({}, entity, { inEdition: ctx.countLines });
         switch (type) {
             case 'person':
-                persons.push(entity);
+                ctx.persons.push(entity);
                 break;
             case 'place':
-                places.push(entity);
+                ctx.places.push(entity);
                 break;
             case 'organization':
-                organizations.push(entity);
+                ctx.organizations.push(entity);
                 break;
             case 'term':
-                terms.push(entity);
+                ctx.terms.push(entity);
                 break;
         }
+    }
+
+    /**
+     * Transform semantic element (persName, placeName, term, etc.)
+     */
+    function transformSemanticElement(node, h, type) {
+        const ref = h.attr('ref');
+        const role = h.attr('role');
+        const name = node.textContent.replace(/\s+/g, ' ').trim();
+        
+        // Add to register
+        h.addEntity(type, { name, ref, role });
         
         let tooltipParts = [];
         
         // Type label
-        const typeLabels = {
-            person: 'Person',
-            place: 'Ort',
-            organization: 'Organisation',
-            term: 'Begriff'
-        };
-        tooltipParts.push(typeLabels[type] || type);
+        tooltipParts.push(h.labels.entities[type] || type);
         
         // Reference
         if (ref) {
-            tooltipParts.push(`Ref: ${ref}`);
+            tooltipParts.push(`${h.labels.ref}: ${ref}`);
         }
         
         // Role
         if (role) {
-            tooltipParts.push(`Rolle: ${role}`);
+            tooltipParts.push(`${h.labels.role}: ${role}`);
         }
         
         const tooltip = tooltipParts.join(' | ');
         
-        return `<span class="semantic ${type}" data-tooltip="${escapeAttr(tooltip)}" data-tooltip-type="${type}" data-ref="${escapeAttr(ref)}">${children}</span>`;
+        // Entities without ref are matched to their register entry by name
+        const nameAttr = ref ? '' : ` data-name="${escapeAttr(name)}"`;
+        
+        return `<span class="semantic ${type}" data-tooltip="${escapeAttr(tooltip)}" data-tooltip-type="${type}" data-ref="${escapeAttr(ref)}"${nameAttr}>${h.children}</span>`;
     }
 
     /**
-     * Transform choice element (sic/corr, abbr/expan, orig/reg)
+     * Transform choice element (sic/corr, abbr/expan, orig/reg).
+     * Diplomatic mode shows the first half, normalized mode the second;
+     * the other reading is kept in data-alt so it stays searchable.
      */
-    function transformChoice(node) {
+    function transformChoice(node, h) {
         // Check what type of choice this is
         const sic = node.querySelector('sic') || node.getElementsByTagNameNS(TEI_NS, 'sic')[0];
         const corr = node.querySelector('corr') || node.getElementsByTagNameNS(TEI_NS, 'corr')[0];
@@ -723,35 +1345,54 @@ const QZHParser = (function() {
         const orig = node.querySelector('orig') || node.getElementsByTagNameNS(TEI_NS, 'orig')[0];
         const reg = node.querySelector('reg') || node.getElementsByTagNameNS(TEI_NS, 'reg')[0];
         
+        // Normalized text prefers the corrected, expanded and regularized
+        // reading, the original goes to the tooltip
+        if (h.normalized) {
+            if (sic && corr) {
+                const sicText = sic.textContent.trim();
+                return `<span class="tei-corr text-critical" data-tooltip="${h.labels.original}: ${escapeAttr(sicText)}" data-tooltip-type="textcritical" data-alt="${escapeAttr(sicText)}">${h.transformAlternate(corr, sic)}</span>` +
+                    h.addApparatus(corr, `${h.labels.original}: ${sicText}`);
+            }
+            if (abbr && expan) {
+                const abbrText = abbr.textContent.trim();
+                return `<span class="tei-expan text-critical" data-tooltip="${h.labels.abbreviation}: ${escapeAttr(abbrText)}" data-tooltip-type="abbr" data-alt="${escapeAttr(abbrText)}">${h.transformAlternate(expan, abbr)}</span>`;
+            }
+            if (orig && reg) {
+                const origText = orig.textContent.trim();
+                return `<span class="tei-reg text-critical" data-tooltip="${h.labels.original}: ${escapeAttr(origText)}" data-tooltip-type="textcritical" data-alt="${escapeAttr(origText)}">${h.transformAlternate(reg, orig)}</span>`;
+            }
+        }
+        
         if (sic && corr) {
             // Show sic with correction in tooltip
-            const sicText = transformChildren(sic);
+            const sicText = h.transformChildren(sic);
             const corrText = corr.textContent.trim();
-            return `<span class="text-critical" data-tooltip="Korrektur: ${escapeAttr(corrText)}" data-tooltip-type="textcritical">${sicText}</span>`;
+            return `<span class="text-critical" data-tooltip="${h.labels.correction}: ${escapeAttr(corrText)}" data-tooltip-type="textcritical" data-alt="${escapeAttr(corrText)}">${sicText}</span>` +
+                h.addApparatus(sic, `${h.labels.correction}: ${corrText}`);
         }
         
         if (abbr && expan) {
             // Show abbreviation with expansion in tooltip
-            const abbrText = transformChildren(abbr);
+            const abbrText = h.transformChildren(abbr);
             const expanText = expan.textContent.trim();
-            return `<span class="tei-abbr text-critical" data-tooltip="${escapeAttr(expanText)}" data-tooltip-type="abbr">${abbrText}</span>`;
+            return `<span class="tei-abbr text-critical" data-tooltip="${escapeAttr(expanText)}" data-tooltip-type="abbr" data-alt="${escapeAttr(expanText)}">${abbrText}</span>`;
         }
         
         if (orig && reg) {
             // Show original with regularized in tooltip
-            const origText = transformChildren(orig);
+            const origText = h.transformChildren(orig);
             const regText = reg.textContent.trim();
-            return `<span class="text-critical" data-tooltip="Normalisiert: ${escapeAttr(regText)}" data-tooltip-type="textcritical">${origText}</span>`;
+            return `<span class="text-critical" data-tooltip="${h.labels.regularized}: ${escapeAttr(regText)}" data-tooltip-type="textcritical" data-alt="${escapeAttr(regText)}">${origText}</span>`;
         }
         
         // Fallback: just render children
-        return transformChildren(node);
+        return h.children;
     }
 
     /**
      * Transform apparatus entry
      */
-    function transformApp(node, children) {
+    function transformApp(node, h) {
         const lem = node.querySelector('lem') || node.getElementsByTagNameNS(TEI_NS, 'lem')[0];
         const rdgs = node.querySelectorAll('rdg') || node.getElementsByTagNameNS(TEI_NS, 'rdg');
         
@@ -762,11 +1403,12 @@ const QZHParser = (function() {
             rdgTexts.push(wit ? `${wit}: ${text}` : text);
         }
         
-        const tooltip = rdgTexts.length ? `Varianten: ${rdgTexts.join('; ')}` : '';
-        const lemText = lem ? transformChildren(lem) : children;
+        const tooltip = rdgTexts.length ? `${h.labels.readings}: ${rdgTexts.join('; ')}` : '';
+        const lemText = lem ? h.transformChildren(lem) : h.children;
         
         if (tooltip) {
-            return `<span class="text-critical" data-tooltip="${escapeAttr(tooltip)}" data-tooltip-type="apparatus">${lemText}</span>`;
+            return `<span class="text-critical" data-tooltip="${escapeAttr(tooltip)}" data-tooltip-type="apparatus">${lemText}</span>` +
+                h.addApparatus(lem || node, tooltip);
         }
         
         return `<span class="tei-app">${lemText}</span>`;
@@ -775,43 +1417,126 @@ const QZHParser = (function() {
     /**
      * Transform note element
      */
-    function transformNote(node, children) {
-        const noteType = node.getAttribute('type') || '';
-        const notePlace = node.getAttribute('place') || '';
+    function transformNote(node, h) {
+        const notePlace = h.attr('place');
         
         // Inline marginal note
         if (notePlace === 'margin' || notePlace === 'left' || notePlace === 'right') {
-            return `<span class="tei-note-margin text-critical" data-tooltip="${escapeAttr(children)}" data-tooltip-type="note">[*]</span>`;
+            return `<span class="tei-note-margin text-critical" data-tooltip="${escapeAttr(h.children)}" data-tooltip-type="note">[*]</span>`;
         }
         
         // Footnote
-        addFootnote(children);
-        return `<span class="footnote-ref" data-footnote="${footnoteCounter}">${footnoteCounter}</span>`;
+        const footnote = h.addFootnote(h.children);
+        return `<span class="footnote-ref" data-footnote="${footnote.key}">${footnote.label}</span>`;
     }
 
     /**
-     * Add a footnote
+     * Add a footnote. Within a group the key is prefixed with the text
+     * index (2.3), since numbering restarts with every text.
      */
-    function addFootnote(content) {
-        footnoteCounter++;
-        footnotes.push({
-            number: footnoteCounter,
+    function addFootnote(ctx, content) {
+        ctx.footnoteCounter++;
+        const footnote = {
+            number: ctx.footnoteCounter,
+            label: ctx.footnoteLabel(ctx.footnoteCounter),
+            key: ctx.textIndex ? `${ctx.textIndex}.${ctx.footnoteCounter}` : String(ctx.footnoteCounter),
+            text: ctx.textIndex,
             content: content
-        });
+        };
+        ctx.footnotes.push(footnote);
+        return footnote;
+    }
+
+    /**
+     * Add a lettered apparatus note for a text-critical element and return
+     * its reference. Only the edition text has an apparatus, like line numbers.
+     */
+    function addApparatus(ctx, node, content) {
+        if (!ctx.countLines || !content) return '';
+        
+        ctx.apparatusCounter++;
+        const letter = toLetters(ctx.apparatusCounter);
+        const entry = {
+            letter: letter,
+            key: ctx.textIndex ? `${ctx.textIndex}.${letter}` : letter,
+            text: ctx.textIndex,
+            lemma: getLemma(node),
+            content: content
+        };
+        ctx.apparatus.push(entry);
+        return `<span class="apparatus-ref" data-apparatus="${entry.key}">${letter}</span>`;
+    }
+
+    /**
+     * Apparatus note of a substitution: deleted and added reading
+     */
+    function buildSubstNote(node, labels) {
+        const del = node.querySelector('del') || node.getElementsByTagNameNS(TEI_NS, 'del')[0];
+        const add = node.querySelector('add') || node.getElementsByTagNameNS(TEI_NS, 'add')[0];
+        const delText = del ? del.textContent.replace(/\s+/g, ' ').trim() : '';
+        const addText = add ? add.textContent.replace(/\s+/g, ' ').trim() : '';
+        
+        if (delText && addText) return `${labels.substitution}: ${labels.replacedBy(delText, addText)}`;
+        if (delText) return `${labels.substitution}: ${labels.deleted(delText)}`;
+        return labels.substitution;
+    }
+
+    /**
+     * Short lemma of an apparatus note
+     */
+    function getLemma(node) {
+        const text = node.textContent.replace(/\s+/g, ' ').trim();
+        return text.length > 30 ? text.substring(0, 30) + '…' : text;
+    }
+
+    /**
+     * Convert a counter to roman numerals in lower case (i, ii, iii …)
+     */
+    function toRoman(n) {
+        const numerals = [[1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'],
+                          [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']];
+        let roman = '';
+        for (const [value, numeral] of numerals) {
+            while (n >= value) {
+                roman += numeral;
+                n -= value;
+            }
+        }
+        return roman;
+    }
+
+    /**
+     * Convert a counter to apparatus letters (a … z, aa, ab …)
+     */
+    function toLetters(n) {
+        let letters = '';
+        while (n > 0) {
+            const rest = (n - 1) % 26;
+            letters = String.fromCharCode(97 + rest) + letters;
+            n = Math.floor((n - 1) / 26);
+        }
+        return letters;
     }
 
     /**
      * Transform back matter
      */
-    function transformBackMatter(backNode) {
+    function transformBackMatter(ctx, backNode) {
+        return `<h3>${ctx.labels.comment}</h3>` + transformBackContent(ctx, backNode);
+    }
+
+    /**
+     * Transform the paragraphs of a back element
+     */
+    function transformBackContent(ctx, backNode) {
         const divs = backNode.querySelectorAll('div') || backNode.getElementsByTagNameNS(TEI_NS, 'div');
-        let html = '<h3>Kommentar</h3>';
+        let html = '';
         
         let items = [];
         for (const div of divs) {
             const ps = div.querySelectorAll('p') || div.getElementsByTagNameNS(TEI_NS, 'p');
             for (const p of ps) {
-                items.push(transformChildren(p));
+                items.push(transformChildren(ctx, p));
             }
         }
         
@@ -824,7 +1549,7 @@ const QZHParser = (function() {
             html += `<p>${items[0]}</p>`;
         } else {
             // Fallback: transform all children
-            html += transformChildren(backNode);
+            html += transformChildren(ctx, backNode);
         }
         
         return html;
@@ -978,7 +1703,7 @@ const QZHParser = (function() {
     /**
      * Build date tooltip with relevant TEI date attributes
      */
-    function buildDateTooltip(node) {
+    function buildDateTooltip(node, labels) {
         const when = node.getAttribute('when') || '';
         const from = node.getAttribute('from') || '';
         const to = node.getAttribute('to') || '';
@@ -992,54 +1717,51 @@ const QZHParser = (function() {
         let parts = [];
 
         if (when) {
-            parts.push(formatDate(when));
+            parts.push(formatDate(when, labels));
         } else if (from && to) {
-            parts.push(`${formatDate(from)} - ${formatDate(to)}`);
+            parts.push(`${formatDate(from, labels)} - ${formatDate(to, labels)}`);
         } else if (from) {
-            parts.push(`ab ${formatDate(from)}`);
+            parts.push(`${labels.from} ${formatDate(from, labels)}`);
         } else if (to) {
-            parts.push(`bis ${formatDate(to)}`);
+            parts.push(`${labels.to} ${formatDate(to, labels)}`);
         } else if (notBefore && notAfter) {
-            parts.push(`zwischen ${formatDate(notBefore)} und ${formatDate(notAfter)}`);
+            parts.push(labels.between(formatDate(notBefore, labels), formatDate(notAfter, labels)));
         } else if (notBefore) {
-            parts.push(`nicht vor ${formatDate(notBefore)}`);
+            parts.push(`${labels.notBefore} ${formatDate(notBefore, labels)}`);
         } else if (notAfter) {
-            parts.push(`nicht nach ${formatDate(notAfter)}`);
+            parts.push(`${labels.notAfter} ${formatDate(notAfter, labels)}`);
         }
 
         if (calendar) {
-            parts.push(`Kalender: ${calendar}`);
+            parts.push(`${labels.calendar}: ${calendar}`);
         }
 
         if (type) {
-            parts.push(`Typ: ${type}`);
+            parts.push(`${labels.type}: ${type}`);
         }
 
         if (period) {
-            parts.push(`Periode: ${period}`);
+            parts.push(`${labels.period}: ${period}`);
         }
 
         if (durIso) {
-            parts.push(`Dauer: ${formatIsoDuration(durIso)}`);
+            parts.push(`${labels.duration}: ${formatIsoDuration(durIso, labels)}`);
         }
 
         return parts.join(' | ');
     }
 
     /**
-     * Format ISO 8601 duration for tooltip display
+     * Format ISO 8601 duration for tooltip display, German by default
      */
-    function formatIsoDuration(duration) {
+    function formatIsoDuration(duration, labels = LABELS.de) {
         if (!duration) return '';
 
         const repeatMatch = duration.match(/^R(\d*)\/(.+)$/);
         if (repeatMatch) {
             const repeatCount = repeatMatch[1];
-            const repeated = formatIsoDuration(repeatMatch[2]);
-            if (repeatCount) {
-                return `${repeatCount}× wiederholt (${repeated})`;
-            }
-            return `wiederholt (${repeated})`;
+            const repeated = formatIsoDuration(repeatMatch[2], labels);
+            return `${labels.repeated(repeatCount)} (${repeated})`;
         }
 
         const match = duration.match(/^P(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/i);
@@ -1055,18 +1777,34 @@ const QZHParser = (function() {
         const minutes = parseInt(match[6] || '0', 10);
         const seconds = parseInt(match[7] || '0', 10);
 
+        const units = labels.units;
+        const quantity = (count, unit) => `${count} ${units[unit][count === 1 ? 0 : 1]}`;
+
         let parts = [];
-        if (years) parts.push(`${years} Jahr${years === 1 ? '' : 'e'}`);
-        if (months) parts.push(`${months} Monat${months === 1 ? '' : 'e'}`);
-        if (weeks) parts.push(`${weeks} Woche${weeks === 1 ? '' : 'n'}`);
-        if (days) parts.push(`${days} Tag${days === 1 ? '' : 'e'}`);
-        if (hours) parts.push(`${hours} Stunde${hours === 1 ? '' : 'n'}`);
-        if (minutes) parts.push(`${minutes} Minute${minutes === 1 ? '' : 'n'}`);
-        if (seconds) parts.push(`${seconds} Sekunde${seconds === 1 ? '' : 'n'}`);
+        if (years) parts.push(quantity(years, 'years'));
+        if (months) parts.push(quantity(months, 'months'));
+        if (weeks) parts.push(quantity(weeks, 'weeks'));
+        if (days) parts.push(quantity(days, 'days'));
+        if (hours) parts.push(quantity(hours, 'hours'));
+        if (minutes) parts.push(quantity(minutes, 'minutes'));
+        if (seconds) parts.push(quantity(seconds, 'seconds'));
 
         return parts.length ? parts.join(' ') : duration;
     }
 
+    /**
+     * Find a child element by name
+     */
+    function findChild(node, name) {
+        for (const child of node.children) {
+            const childName = child.localName || child.nodeName.replace(/^.*:/, '');
+            if (childName === name) {
+                return child;
+            }
+        }
+        return null;
+    }
+
     /**
      * Find sibling element by name
      */
@@ -1083,6 +1821,14 @@ const QZHParser = (function() {
         return null;
     }
 
+    /**
+     * Check if an add or del is part of a subst, which has one note for both
+     */
+    function isInsideSubst(node) {
+        const parent = node.parentElement;
+        return Boolean(parent && (parent.localName || parent.nodeName.replace(/^.*:/, '')) === 'subst');
+    }
+
     /**
      * Check if node is inside teiHeader
      */
@@ -1099,12 +1845,14 @@ const QZHParser = (function() {
     }
 
     /**
-     * Escape HTML special characters
+     * Escape HTML special characters, as innerHTML does for text
      */
     function escapeHTML(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/\u00a0/g, '&nbsp;');
     }
 
     /**
@@ -1119,9 +1867,29 @@ const QZHParser = (function() {
             .replace(/>/g, '&gt;');
     }
 
+    // Built-in rules by registry key, the base of every transform's handlers
+    const BUILTIN_REGISTRY = new Map(Object.keys(BUILTIN_HANDLERS)
+        .map(name => [handlerKey(TEI_NS, name), BUILTIN_HANDLERS[name]]));
+
     // Public API
     return {
         parse: parseXML,
-        transform: transform
+        transform: transform,
+        getNodeId: getNodeId,
+        findNodeById: findNodeById,
+        describeAttributes: buildAttributeTooltip,
+        useDOM: useDOM,
+        formatDate: formatDate,
+        formatIsoDuration: formatIsoDuration,
+        getRenditionClass: getRenditionClass,
+        deduplicateEntities: deduplicateEntities
     };
 })();
+
+// CommonJS export for Node, e.g. bin/qzh-render.js; loaded as ES module
+// (parser.mjs) the parser is picked up from the global object
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QZHParser;
+} else {
+    globalThis.QZHParser = QZHParser;
+}
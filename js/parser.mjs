@@ -0,0 +1,29 @@
+/**
+ * QZH TEI-XML Parser as ES module
+ *
+ *   import { parse, transform } from './js/parser.mjs';
+ *   const result = transform(parse(xml), { normalized: true, language: 'en' });
+ *
+ * Outside the browser, set a DOM implementation first, e.g. useDOM(new JSDOM('').window).
+ * Types of options and result are documented in parser.js.
+ */
+
+import * as parserModule from './parser.js';
+
+// Node passes the CommonJS export as default, browsers run parser.js as module script
+const QZHParser = parserModule.default || globalThis.QZHParser;
+
+export const {
+    parse,
+    transform,
+    getNodeId,
+    findNodeById,
+    describeAttributes,
+    useDOM,
+    formatDate,
+    formatIsoDuration,
+    getRenditionClass,
+    deduplicateEntities
+} = QZHParser;
+
+export default QZHParser;
@@ -0,0 +1,303 @@
+/**
+ * QZH Recent Documents
+ * Keeps loaded XML in IndexedDB, so documents survive a reload, and lists
+ * them as "Zuletzt geöffnet" on the dropzone page. Pinned entries are kept
+ * regardless of the limit.
+ */
+
+const QZHRecent = (function() {
+    'use strict';
+
+    const DB_NAME = 'qzh-preview';
+    const DB_VERSION = 1;
+    const STORE = 'recent';
+
+    const LIMIT_KEY = 'qzh-recent-limit';
+    const DEFAULT_LIMIT = 10;
+
+    let panelEl = null;
+    let listEl = null;
+    let limitEl = null;
+
+    let dbPromise = null;
+
+    /**
+     * Initialize recent documents list
+     */
+    function init() {
+        panelEl = document.getElementById('recentPanel');
+        listEl = document.getElementById('recentList');
+        limitEl = document.getElementById('recentLimit');
+
+        if (!panelEl || !listEl || !window.indexedDB) {
+            return;
+        }
+
+        if (limitEl) {
+            limitEl.value = String(getLimit());
+            limitEl.addEventListener('change', function() {
+                setLimit(parseInt(limitEl.value, 10));
+            });
+        }
+
+        listEl.addEventListener('click', function(e) {
+            const item = e.target.closest('.recent-item');
+            if (!item) return;
+
+            const id = item.getAttribute('data-id');
+            if (e.target.closest('.recent-remove')) {
+                remove(id);
+            } else if (e.target.closest('.recent-pin')) {
+                togglePin(id);
+            } else if (e.target.closest('.recent-open')) {
+                open(id);
+            }
+        });
+
+        render();
+    }
+
+    /**
+     * Open the database
+     */
+    function openDB() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB nicht verfügbar'));
+                    return;
+                }
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(STORE, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return dbPromise;
+    }
+
+    /**
+     * Run a request against the store and resolve with its result
+     * once the transaction is complete
+     */
+    async function withStore(mode, callback) {
+        const db = await openDB();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE, mode);
+            const request = callback(tx.objectStore(STORE));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Store a loaded document. id is its source path, or the path of the
+     * local file, so files of the same name from different folders are kept apart.
+     */
+    async function add(doc) {
+        try {
+            const existing = await get(doc.id);
+            const heading = doc.heading || {};
+            await withStore('readwrite', store => store.put({
+                id: doc.id,
+                filename: doc.filename,
+                source: doc.source || '',
+                path: doc.path || doc.filename,
+                xml: doc.xml,
+                idno: heading.idno || '',
+                title: heading.title || '',
+                date: heading.date || '',
+                openedAt: Date.now(),
+                pinned: existing ? existing.pinned : false
+            }));
+            await prune();
+        } catch (err) {
+            // Without IndexedDB (or over quota) documents just are not kept
+        }
+        render();
+    }
+
+    /**
+     * Get a stored document by id
+     */
+    async function get(id) {
+        try {
+            return (await withStore('readonly', store => store.get(id))) || null;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    /**
+     * All stored documents: pinned first, then most recently opened
+     */
+    async function list() {
+        try {
+            const entries = await withStore('readonly', store => store.getAll());
+            return entries.sort((a, b) => (b.pinned - a.pinned) || (b.openedAt - a.openedAt));
+        } catch (err) {
+            return [];
+        }
+    }
+
+    /**
+     * Remove the oldest unpinned documents beyond the limit
+     */
+    async function prune() {
+        const unpinned = (await list()).filter(entry => !entry.pinned);
+        const dropped = unpinned.slice(getLimit());
+        if (dropped.length > 0) {
+            await withStore('readwrite', store => {
+                dropped.forEach(entry => store.delete(entry.id));
+            });
+        }
+    }
+
+    /**
+     * Reopen a stored document
+     */
+    async function open(id) {
+        const entry = await get(id);
+        if (entry) {
+            QZHApp.processXML(entry.xml, entry.filename, entry.source, entry.path);
+        }
+    }
+
+    /**
+     * Pin or unpin a document
+     */
+    async function togglePin(id) {
+        try {
+            const entry = await get(id);
+            if (entry) {
+                entry.pinned = !entry.pinned;
+                await withStore('readwrite', store => store.put(entry));
+                await prune();
+            }
+        } catch (err) {
+            // Storage failed, the list shows what is stored
+        }
+        render();
+    }
+
+    /**
+     * Remove a document from the list
+     */
+    async function remove(id) {
+        try {
+            await withStore('readwrite', store => store.delete(id));
+        } catch (err) {
+            // Storage failed, the list shows what is stored
+        }
+        render();
+    }
+
+    /**
+     * Maximum number of unpinned documents
+     */
+    function getLimit() {
+        try {
+            const limit = parseInt(localStorage.getItem(LIMIT_KEY), 10);
+            return limit > 0 ? limit : DEFAULT_LIMIT;
+        } catch (err) {
+            return DEFAULT_LIMIT;
+        }
+    }
+
+    /**
+     * Change the limit and drop documents beyond it
+     */
+    async function setLimit(limit) {
+        try {
+            localStorage.setItem(LIMIT_KEY, String(limit > 0 ? limit : DEFAULT_LIMIT));
+        } catch (err) {
+            // Storage unavailable, limit stays at the default
+        }
+        try {
+            await prune();
+        } catch (err) {
+            // Storage failed, documents beyond the limit are dropped next time
+        }
+        render();
+    }
+
+    /**
+     * Render the list on the dropzone page
+     */
+    async function render() {
+        if (!panelEl) return;
+
+        const entries = await list();
+        panelEl.classList.toggle('hidden', entries.length === 0);
+
+        listEl.innerHTML = entries.map(entry => `
+            <li class="recent-item${entry.pinned ? ' pinned' : ''}" data-id="${escapeAttr(entry.id)}">
+                <button type="button" class="sample-item recent-open" title="${escapeAttr(entry.source || entry.filename)}">
+                    <span class="sample-idno">${escapeHTML(entry.idno || entry.filename)}</span>
+                    <span class="sample-title">${escapeHTML(entry.title || entry.filename)}</span>
+                    ${entry.date ? `<span class="sample-date">${escapeHTML(entry.date)}</span>` : ''}
+                    <span class="recent-opened">geöffnet ${escapeHTML(formatTime(entry.openedAt))}</span>
+                </button>
+                <button type="button" class="recent-pin" aria-pressed="${entry.pinned}" title="${entry.pinned ? 'Nicht mehr anheften' : 'Anheften'}" aria-label="${entry.pinned ? 'Nicht mehr anheften' : 'Anheften'}">
+                    <svg viewBox="0 0 24 24" width="16" height="16" fill="${entry.pinned ? 'currentColor' : 'none'}" stroke="currentColor" stroke-width="2">
+                        <path d="M12 17v5"/>
+                        <path d="M9 10.76V6h6v4.76l2 3.24H7z"/>
+                        <path d="M8 2h8"/>
+                    </svg>
+                </button>
+                <button type="button" class="recent-remove" title="Aus der Liste entfernen" aria-label="Aus der Liste entfernen">×</button>
+            </li>
+        `).join('');
+    }
+
+    /**
+     * Format a timestamp: time for today, date otherwise
+     */
+    function formatTime(timestamp) {
+        const date = new Date(timestamp);
+        const time = date.toLocaleTimeString('de-CH', { hour: '2-digit', minute: '2-digit' });
+        if (date.toDateString() === new Date().toDateString()) {
+            return `heute, ${time}`;
+        }
+        return `${date.toLocaleDateString('de-CH')}, ${time}`;
+    }
+
+    /**
+     * Escape HTML
+     */
+    function escapeHTML(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Escape for attributes
+     */
+    function escapeAttr(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    // Public API
+    return {
+        init: init,
+        add: add,
+        get: get,
+        list: list,
+        remove: remove,
+        setLimit: setLimit
+    };
+})();
+
+// Initialize on DOM ready
+document.addEventListener('DOMContentLoaded', function() {
+    QZHRecent.init();
+});
@@ -0,0 +1,271 @@
+/**
+ * QZH Router
+ * Keeps the view state in the URL hash, so links can be shared and a
+ * reload reopens the same view:
+ *
+ *   #doc=QZH_015.xml&tab=comment&norm=1&fn=3
+ *
+ * doc:  file path of a recently opened document (see QZHRecent), or a same-origin path
+ * tab:  active tab, norm=1 for the normalized text
+ * anchor (one of): page=<pb n>, line=<page>:<line>, fn=<footnote number>,
+ *                  ref=<register ref>, text=<inner text of a group>
+ */
+
+const QZHRouter = (function() {
+    'use strict';
+
+    const ANCHOR_KEYS = ['page', 'line', 'fn', 'ref', 'text'];
+
+    // Current scroll anchor { key, value } or null
+    let anchor = null;
+
+    // Set while a hash is applied, so intermediate renders do not rewrite it
+    let applying = false;
+
+    /**
+     * Initialize routing and restore the view of the current hash
+     */
+    function init() {
+        // Remember what the user navigated to
+        document.addEventListener('click', function(e) {
+            if (applying) return;
+
+            const footnoteRef = e.target.closest('.footnote-ref[data-footnote]');
+            const registerItem = e.target.closest('.qzh-register-item');
+            const pageMarker = e.target.closest('.pb-marker[data-page]');
+            const textItem = e.target.closest('.qzh-text-toc-item[data-text]');
+
+            if (footnoteRef) {
+                setAnchor('fn', footnoteRef.getAttribute('data-footnote'));
+            } else if (registerItem && registerItem.getAttribute('data-ref')) {
+                setAnchor('ref', registerItem.classList.contains('active') ? registerItem.getAttribute('data-ref') : '');
+            } else if (pageMarker && pageMarker.getAttribute('data-page')) {
+                setAnchor('page', pageMarker.getAttribute('data-page'));
+            } else if (textItem) {
+                setAnchor('text', textItem.getAttribute('data-text'));
+            } else if (e.target.closest('.qzh-tab')) {
+                update();
+            }
+        });
+
+        document.addEventListener('change', function(e) {
+            if (!applying && e.target.id === 'normalizedToggle') {
+                update();
+            }
+        });
+
+        window.addEventListener('hashchange', function() {
+            if (location.hash !== buildHash()) {
+                apply(parse(location.hash));
+            }
+        });
+
+        const state = parse(location.hash);
+        if (state.doc) {
+            apply(state);
+        }
+    }
+
+    /**
+     * Parse a hash into a state object
+     */
+    function parse(hash) {
+        const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+        const state = {
+            doc: params.get('doc') || '',
+            tab: params.get('tab') || '',
+            norm: params.get('norm') === '1',
+            anchor: null
+        };
+
+        for (const key of ANCHOR_KEYS) {
+            if (params.get(key)) {
+                state.anchor = { key, value: params.get(key) };
+                break;
+            }
+        }
+
+        return state;
+    }
+
+    /**
+     * Build the hash for the current view
+     */
+    function buildHash(overrideAnchor) {
+        const doc = QZHApp.getActiveDocument();
+        if (!doc) return '';
+
+        const params = new URLSearchParams();
+        params.set('doc', QZHApp.getStorageId(doc));
+
+        const activeTab = document.querySelector('.qzh-tab.active');
+        if (activeTab) {
+            params.set('tab', activeTab.getAttribute('data-tab'));
+        }
+
+        const normalizedToggle = document.getElementById('normalizedToggle');
+        if (normalizedToggle && normalizedToggle.checked) {
+            params.set('norm', '1');
+        }
+
+        const current = overrideAnchor !== undefined ? overrideAnchor : anchor;
+        if (current && current.value) {
+            params.set(current.key, current.value);
+        }
+
+        // Paths and line anchors stay readable
+        return '#' + params.toString().replace(/%2F/g, '/').replace(/%3A/g, ':');
+    }
+
+    /**
+     * Shareable link for the current view, optionally with another anchor
+     */
+    function buildLink(key, value) {
+        const hash = key ? buildHash({ key, value }) : buildHash();
+        return location.href.split('#')[0] + hash;
+    }
+
+    /**
+     * Write the current view to the URL without a history entry
+     */
+    function update() {
+        if (applying) return;
+
+        const hash = buildHash();
+        if (hash === location.hash || (!hash && !location.hash)) return;
+
+        const url = hash || location.pathname + location.search;
+        try {
+            history.replaceState(null, '', url);
+        } catch (err) {
+            // Some browsers refuse history changes on file:// pages
+            location.hash = hash;
+        }
+    }
+
+    /**
+     * Set the scroll anchor and update the URL
+     */
+    function setAnchor(key, value) {
+        anchor = value ? { key, value: String(value) } : null;
+        update();
+    }
+
+    /**
+     * Restore a view: open the document, then mode, tab and anchor
+     */
+    async function apply(state) {
+        if (!state.doc) return;
+
+        applying = true;
+        try {
+            const doc = QZHApp.getActiveDocument();
+            if (!doc || QZHApp.getStorageId(doc) !== state.doc) {
+                if (!await openDocument(state.doc)) return;
+            }
+
+            const normalizedToggle = document.getElementById('normalizedToggle');
+            if (normalizedToggle && normalizedToggle.checked !== state.norm) {
+                normalizedToggle.checked = state.norm;
+                normalizedToggle.dispatchEvent(new Event('change'));
+            }
+
+            if (state.tab) {
+                QZHApp.selectTab(state.tab);
+            }
+
+            anchor = state.anchor;
+            if (anchor) {
+                reveal(anchor);
+            }
+        } finally {
+            applying = false;
+        }
+
+        update();
+    }
+
+    /**
+     * Open a recently opened document or a same-origin path. Paths are
+     * fetched again where possible, so the server copy wins.
+     */
+    async function openDocument(name) {
+        const stored = await QZHRecent.get(name);
+        if (stored && (!stored.source || location.protocol === 'file:')) {
+            return QZHApp.processXML(stored.xml, stored.filename, stored.source, stored.path);
+        }
+
+        if (location.protocol === 'file:') {
+            QZHApp.showError(`Dokument «${name}» ist nicht mehr gespeichert. Bitte die Datei erneut laden.`);
+            return null;
+        }
+
+        return QZHApp.loadURL(name);
+    }
+
+    /**
+     * Scroll to an anchor
+     */
+    function reveal(target) {
+        const bodyEl = document.getElementById('documentBody');
+
+        switch (target.key) {
+            case 'line':
+                const separator = target.value.lastIndexOf(':');
+                QZHLines.reveal(target.value.substring(0, separator), target.value.substring(separator + 1));
+                break;
+
+            case 'page':
+                const marker = Array.from(bodyEl.querySelectorAll('.pb-marker[data-page]'))
+                    .find(el => el.getAttribute('data-page') === target.value);
+                if (marker) {
+                    QZHApp.selectTab('edition');
+                    flash(marker);
+                }
+                break;
+
+            case 'fn':
+                const footnote = document.getElementById('fn-' + target.value);
+                if (footnote) {
+                    QZHApp.selectTab('edition');
+                    flash(footnote);
+                }
+                break;
+
+            case 'ref':
+                const item = Array.from(document.querySelectorAll('#registers .qzh-register-item'))
+                    .find(el => el.getAttribute('data-ref') === target.value);
+                if (item) {
+                    QZHOccurrences.select(item);
+                }
+                break;
+
+            case 'text':
+                QZHApp.revealText(target.value);
+                break;
+        }
+    }
+
+    /**
+     * Scroll to an element and highlight it briefly
+     */
+    function flash(el) {
+        el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        el.classList.add('highlight');
+        setTimeout(() => el.classList.remove('highlight'), 2000);
+    }
+
+    // Public API
+    return {
+        init: init,
+        update: update,
+        setAnchor: setAnchor,
+        buildLink: buildLink,
+        parse: parse
+    };
+})();
+
+// Initialize on DOM ready (after the app, see script order)
+document.addEventListener('DOMContentLoaded', function() {
+    QZHRouter.init();
+});
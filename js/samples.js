@@ -0,0 +1,118 @@
+/**
+ * QZH Samples
+ * Loads documents from a same-origin URL (?src=sample/QZH_015.xml) and
+ * lists the bundled examples from sample/manifest.json on the dropzone page.
+ */
+
+const QZHSamples = (function() {
+    'use strict';
+
+    const SAMPLE_DIR = 'sample/';
+    const MANIFEST_URL = SAMPLE_DIR + 'manifest.json';
+
+    let pickerEl = null;
+    let listEl = null;
+
+    /**
+     * Initialize sample picker and ?src= parameter
+     */
+    function init() {
+        pickerEl = document.getElementById('samplePicker');
+        listEl = document.getElementById('sampleList');
+
+        // A document in the hash is restored by the router instead
+        const src = new URLSearchParams(location.search).get('src');
+        if (src && !QZHRouter.parse(location.hash).doc) {
+            QZHApp.loadURL(src);
+        }
+
+        if (!pickerEl || !listEl) {
+            return;
+        }
+
+        listEl.addEventListener('click', function(e) {
+            const button = e.target.closest('.sample-item');
+            if (button) {
+                QZHApp.loadURL(SAMPLE_DIR + button.getAttribute('data-file'));
+            }
+        });
+
+        loadManifest();
+    }
+
+    /**
+     * Fetch the manifest and show the picker. Stays hidden where fetching
+     * is not possible (file://) or no manifest exists.
+     */
+    async function loadManifest() {
+        if (location.protocol === 'file:') {
+            return;
+        }
+
+        let samples;
+        try {
+            const response = await fetch(MANIFEST_URL);
+            if (!response.ok) return;
+            samples = await response.json();
+        } catch (err) {
+            return;
+        }
+
+        if (!Array.isArray(samples) || samples.length === 0) {
+            return;
+        }
+
+        render(samples);
+    }
+
+    /**
+     * Render the list of samples
+     */
+    function render(samples) {
+        listEl.innerHTML = samples
+            .filter(sample => sample && sample.file)
+            .map(sample => `
+                <li>
+                    <button type="button" class="sample-item" data-file="${escapeAttr(sample.file)}">
+                        <span class="sample-idno">${escapeHTML(sample.idno || sample.file)}</span>
+                        <span class="sample-title">${escapeHTML(sample.title || sample.file)}</span>
+                        ${sample.date ? `<span class="sample-date">${escapeHTML(sample.date)}</span>` : ''}
+                    </button>
+                </li>
+            `).join('');
+
+        pickerEl.classList.remove('hidden');
+    }
+
+    /**
+     * Escape HTML
+     */
+    function escapeHTML(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Escape for attributes
+     */
+    function escapeAttr(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    // Public API
+    return {
+        init: init,
+        render: render
+    };
+})();
+
+// Initialize on DOM ready (after the app and router, see script order)
+document.addEventListener('DOMContentLoaded', function() {
+    QZHSamples.init();
+});
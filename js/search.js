@@ -0,0 +1,447 @@
+/**
+ * QZH Full-Text Search
+ * Finds and highlights hits in Editionstext, Regest and Kommentar.
+ * Normalized matching ignores diacritics, doubled letters and common
+ * spelling variants, joins words hyphenated at lb break="no" and also
+ * matches the other reading of choice pairs (abbr/expan, sic/corr, orig/reg).
+ */
+
+const QZHSearch = (function() {
+    'use strict';
+
+    // Searched areas in display order, with the tab they belong to
+    const AREAS = [
+        { id: 'documentBody', tab: 'edition' },
+        { id: 'documentRegest', tab: 'regest' },
+        { id: 'documentBack', tab: 'comment' }
+    ];
+
+    const MIN_QUERY_LENGTH = 2;
+    const DEBOUNCE_MS = 200;
+
+    let inputEl, countEl, prevBtn, nextBtn, normalizedCheckbox;
+    let debounceTimer = null;
+
+    // Current search state
+    let query = '';
+    let hits = [];
+    let currentIndex = -1;
+
+    /**
+     * Initialize search box
+     */
+    function init() {
+        inputEl = document.getElementById('searchInput');
+        countEl = document.getElementById('searchCount');
+        prevBtn = document.getElementById('searchPrev');
+        nextBtn = document.getElementById('searchNext');
+        normalizedCheckbox = document.getElementById('searchNormalized');
+
+        if (!inputEl) {
+            return;
+        }
+
+        inputEl.addEventListener('input', function() {
+            clearTimeout(debounceTimer);
+            debounceTimer = setTimeout(() => search(inputEl.value), DEBOUNCE_MS);
+        });
+
+        inputEl.addEventListener('keydown', function(e) {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                clearTimeout(debounceTimer);
+                if (inputEl.value !== query) {
+                    search(inputEl.value);
+                } else {
+                    step(e.shiftKey ? -1 : 1);
+                }
+            } else if (e.key === 'Escape') {
+                inputEl.value = '';
+                search('');
+            }
+        });
+
+        prevBtn.addEventListener('click', () => step(-1));
+        nextBtn.addEventListener('click', () => step(1));
+        normalizedCheckbox.addEventListener('change', () => search(inputEl.value));
+    }
+
+    /**
+     * Run a search and jump to the first hit
+     */
+    function search(text) {
+        clearHighlights();
+        query = text;
+
+        if (query.trim().length < MIN_QUERY_LENGTH) {
+            updateCount();
+            return;
+        }
+
+        const normalized = normalizedCheckbox.checked;
+        const needle = fold(query.trim(), normalized).text;
+
+        for (const area of AREAS) {
+            const el = document.getElementById(area.id);
+            if (!el) continue;
+
+            const areaHits = findInStream(buildStream(el, normalized, false), needle, normalized);
+            if (normalized) {
+                // Second pass reads choice alternatives instead of the diplomatic text
+                areaHits.push(...findInStream(buildStream(el, normalized, true), needle, normalized));
+            }
+
+            for (const hit of dedupeHits(areaHits)) {
+                hit.tab = area.tab;
+                hits.push(hit);
+            }
+        }
+
+        highlightHits();
+
+        if (hits.length > 0) {
+            goTo(0);
+        } else {
+            updateCount();
+        }
+    }
+
+    /**
+     * Re-run the current search after the document was re-rendered
+     */
+    function update() {
+        if (!inputEl) return;
+        hits = [];
+        currentIndex = -1;
+        search(inputEl.value);
+    }
+
+    /**
+     * Collect the text of an area as a list of characters with their source.
+     * Each entry is { char, node, offset } for text, { char, element } for
+     * choice alternatives, or { char } for virtual spaces.
+     */
+    function buildStream(root, normalized, useAlternatives) {
+        const stream = [];
+        let joinLines = false;
+
+        function walk(node) {
+            if (node.nodeType === Node.TEXT_NODE) {
+                const text = node.nodeValue;
+                for (let i = 0; i < text.length; i++) {
+                    stream.push({ char: text[i], node: node, offset: i });
+                }
+                return;
+            }
+
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                return;
+            }
+
+            if (node.tagName === 'BR') {
+                // No space where a word continues on the next line
+                if (!joinLines) {
+                    stream.push({ char: ' ' });
+                }
+                joinLines = false;
+                return;
+            }
+
+            // Apparatus letters are not part of the text
+            if (node.classList.contains('apparatus-ref')) {
+                return;
+            }
+
+            if (normalized && node.classList.contains('tei-lb-hyphen')) {
+                joinLines = true;
+                return;
+            }
+
+            if (useAlternatives && node.hasAttribute('data-alt')) {
+                for (const char of node.getAttribute('data-alt')) {
+                    stream.push({ char: char, element: node });
+                }
+                return;
+            }
+
+            for (const child of node.childNodes) {
+                walk(child);
+            }
+        }
+
+        walk(root);
+        return stream;
+    }
+
+    /**
+     * Fold text for matching. Returns the folded text and, per folded
+     * character, the range of source characters it stands for.
+     */
+    function fold(source, normalized) {
+        let text = '';
+        const starts = [];
+        const ends = [];
+
+        for (let i = 0; i < source.length; i++) {
+            const raw = typeof source[i] === 'string' ? source[i] : source[i].char;
+            let chars = raw.toLowerCase();
+
+            if (/\s/.test(chars)) {
+                chars = ' ';
+            } else if (normalized) {
+                chars = foldVariant(chars);
+            }
+
+            // Dropped characters (combining marks) belong to the preceding one
+            if (chars === '' && ends.length > 0) {
+                ends[ends.length - 1] = i + 1;
+            }
+
+            for (const c of chars) {
+                const prev = text[text.length - 1];
+                // Collapse whitespace runs, and doubled letters in normalized mode
+                const collapse = (c === ' ' && prev === ' ') ||
+                    (normalized && c === prev && c !== ' ') ||
+                    (normalized && c === 'h' && prev === 't');
+                if (collapse) {
+                    ends[ends.length - 1] = i + 1;
+                    continue;
+                }
+                text += c;
+                starts.push(i);
+                ends.push(i + 1);
+            }
+        }
+
+        return { text, starts, ends };
+    }
+
+    /**
+     * Map a lowercase character to its normalized spelling
+     */
+    function foldVariant(char) {
+        // Strip diacritics and superscript letters (e.g. uͤ -> u)
+        const base = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+        const variants = {
+            'y': 'i',
+            'j': 'i',
+            'v': 'u',
+            'ß': 's',
+            'ſ': 's'
+        };
+        return variants[base] !== undefined ? variants[base] : base;
+    }
+
+    /**
+     * Find all occurrences of a folded needle in a stream
+     */
+    function findInStream(stream, needle, normalized) {
+        const folded = fold(stream, normalized);
+        const found = [];
+
+        let pos = folded.text.indexOf(needle);
+        while (pos !== -1) {
+            const start = folded.starts[pos];
+            const end = folded.ends[pos + needle.length - 1];
+            const segments = toSegments(stream.slice(start, end));
+            if (segments.length > 0) {
+                found.push({ segments });
+            }
+            pos = folded.text.indexOf(needle, pos + needle.length);
+        }
+
+        return found;
+    }
+
+    /**
+     * Group stream entries into text node ranges and alternative elements
+     */
+    function toSegments(entries) {
+        const segments = [];
+        for (const entry of entries) {
+            const last = segments[segments.length - 1];
+            if (entry.node) {
+                if (last && last.node === entry.node) {
+                    last.end = entry.offset + 1;
+                } else {
+                    segments.push({ node: entry.node, start: entry.offset, end: entry.offset + 1 });
+                }
+            } else if (entry.element) {
+                if (!last || last.element !== entry.element) {
+                    segments.push({ element: entry.element });
+                }
+            }
+        }
+        return segments;
+    }
+
+    /**
+     * Remove hits found in both passes and sort them in document order
+     */
+    function dedupeHits(list) {
+        const unique = [];
+
+        for (const hit of list) {
+            const first = hit.segments[0];
+            const duplicate = unique.some(other => {
+                const otherFirst = other.segments[0];
+                return otherFirst.node === first.node &&
+                    otherFirst.element === first.element &&
+                    otherFirst.start === first.start;
+            });
+            if (!duplicate) {
+                unique.push(hit);
+            }
+        }
+
+        return unique.sort((a, b) => compareSegments(a.segments[0], b.segments[0]));
+    }
+
+    /**
+     * Compare two segments by document position
+     */
+    function compareSegments(a, b) {
+        const nodeA = a.node || a.element;
+        const nodeB = b.node || b.element;
+        if (nodeA === nodeB) {
+            return (a.start || 0) - (b.start || 0);
+        }
+        return nodeA.compareDocumentPosition(nodeB) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+    }
+
+    /**
+     * Wrap the text segments of all hits in <mark> elements
+     * and mark hit alternatives (choice elements) with a class
+     */
+    function highlightHits() {
+        const byNode = new Map();
+
+        for (const hit of hits) {
+            hit.marks = [];
+            for (const segment of hit.segments) {
+                if (segment.element) {
+                    segment.element.classList.add('qzh-search-hit');
+                    hit.marks.push(segment.element);
+                } else {
+                    if (!byNode.has(segment.node)) {
+                        byNode.set(segment.node, []);
+                    }
+                    byNode.get(segment.node).push({ segment, hit });
+                }
+            }
+        }
+
+        for (const [node, list] of byNode) {
+            // Split from the end, so the offsets of earlier segments stay valid
+            list.sort((a, b) => b.segment.start - a.segment.start);
+            let limit = node.nodeValue.length;
+
+            for (const { segment, hit } of list) {
+                if (segment.end > limit) continue;
+
+                node.splitText(segment.end);
+                const part = node.splitText(segment.start);
+
+                const mark = document.createElement('mark');
+                mark.className = 'qzh-search-hit';
+                part.parentNode.insertBefore(mark, part);
+                mark.appendChild(part);
+
+                hit.marks.push(mark);
+                limit = segment.start;
+            }
+        }
+
+        hits = hits.filter(hit => hit.marks.length > 0);
+        hits.forEach(hit => hit.marks.sort((a, b) =>
+            a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+    }
+
+    /**
+     * Step to the next (1) or previous (-1) hit, wrapping around
+     */
+    function step(delta) {
+        if (hits.length === 0) return;
+        goTo((currentIndex + delta + hits.length) % hits.length);
+    }
+
+    /**
+     * Make a hit the current one, switching tabs if needed
+     */
+    function goTo(index) {
+        if (hits[currentIndex]) {
+            hits[currentIndex].marks.forEach(mark => mark.classList.remove('current'));
+        }
+
+        currentIndex = index;
+        const hit = hits[currentIndex];
+
+        const tab = document.querySelector(`.qzh-tab[data-tab="${hit.tab}"]`);
+        if (tab && !tab.classList.contains('active')) {
+            tab.click();
+        }
+
+        hit.marks.forEach(mark => mark.classList.add('current'));
+        hit.marks[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+        updateCount();
+    }
+
+    /**
+     * Update hit counter and button state
+     */
+    function updateCount() {
+        if (!countEl) return;
+
+        if (query.trim().length < MIN_QUERY_LENGTH) {
+            countEl.textContent = '';
+        } else if (hits.length === 0) {
+            countEl.textContent = 'Keine Treffer';
+        } else {
+            countEl.textContent = `${currentIndex + 1} / ${hits.length}`;
+        }
+
+        prevBtn.disabled = hits.length === 0;
+        nextBtn.disabled = hits.length === 0;
+    }
+
+    /**
+     * Remove all search highlighting
+     */
+    function clearHighlights() {
+        for (const area of AREAS) {
+            const el = document.getElementById(area.id);
+            if (!el) continue;
+
+            el.querySelectorAll('mark.qzh-search-hit').forEach(mark => {
+                const parent = mark.parentNode;
+                while (mark.firstChild) {
+                    parent.insertBefore(mark.firstChild, mark);
+                }
+                parent.removeChild(mark);
+                parent.normalize();
+            });
+
+            el.querySelectorAll('.qzh-search-hit').forEach(element => {
+                element.classList.remove('qzh-search-hit', 'current');
+            });
+        }
+
+        hits = [];
+        currentIndex = -1;
+    }
+
+    // Public API
+    return {
+        init: init,
+        search: search,
+        update: update,
+        step: step,
+        fold: fold
+    };
+})();
+
+// Initialize on DOM ready
+document.addEventListener('DOMContentLoaded', function() {
+    QZHSearch.init();
+});
@@ -0,0 +1,176 @@
+/**
+ * QZH Source View
+ * Shows the loaded XML in the "XML" tab, syntax-highlighted and with
+ * collapsible elements. Elements carry the same data-node-id as their
+ * rendering, so both directions can be linked: clicking a tag reveals the
+ * rendered text, the "XML" button of an element in the inspector (opened
+ * by clicking an annotation) reveals the tag.
+ */
+
+const QZHSource = (function() {
+    'use strict';
+
+    // Elements collapsed when a document is shown
+    const COLLAPSED_BY_DEFAULT = ['teiHeader'];
+
+    let sourceEl = null;
+
+    // Document currently shown, rendering is deferred until the tab is opened
+    let renderedDoc = null;
+
+    /**
+     * Initialize source view
+     */
+    function init() {
+        sourceEl = document.getElementById('xmlSource');
+
+        if (!sourceEl) {
+            return;
+        }
+
+        const tab = document.querySelector('.qzh-tab[data-tab="xml"]');
+        if (tab) {
+            tab.addEventListener('click', () => update(true));
+        }
+
+        sourceEl.addEventListener('click', function(e) {
+            const toggle = e.target.closest('.xml-toggle');
+            if (toggle) {
+                const element = toggle.closest('.xml-element');
+                const collapsed = element.classList.toggle('collapsed');
+                toggle.setAttribute('aria-expanded', String(!collapsed));
+                return;
+            }
+
+            const tag = e.target.closest('.xml-start, .xml-end');
+            if (tag) {
+                QZHApp.revealNode(parseInt(tag.closest('.xml-element').getAttribute('data-node-id'), 10));
+            }
+        });
+    }
+
+    /**
+     * Render the active document if the XML tab is shown (or about to be)
+     */
+    function update(force) {
+        if (!sourceEl) return;
+
+        const doc = QZHApp.getActiveDocument();
+        if (!doc) {
+            sourceEl.innerHTML = '';
+            renderedDoc = null;
+            return;
+        }
+
+        const visible = force === true || !document.getElementById('tab-xml').classList.contains('hidden');
+        if (visible && renderedDoc !== doc.xmlDoc) {
+            render(doc.xmlDoc);
+        }
+    }
+
+    /**
+     * Render an XML document
+     */
+    function render(xmlDoc) {
+        renderedDoc = xmlDoc;
+        sourceEl.innerHTML = Array.from(xmlDoc.childNodes).map(renderNode).join('');
+    }
+
+    /**
+     * Render a node with highlighting
+     */
+    function renderNode(node) {
+        switch (node.nodeType) {
+            case Node.ELEMENT_NODE:
+                return renderElement(node);
+
+            case Node.TEXT_NODE:
+                return `<span class="xml-text">${escapeHTML(node.nodeValue)}</span>`;
+
+            case Node.COMMENT_NODE:
+                return `<span class="xml-comment">&lt;!--${escapeHTML(node.nodeValue)}--&gt;</span>`;
+
+            case Node.PROCESSING_INSTRUCTION_NODE:
+                return `<span class="xml-pi">&lt;?${escapeHTML(node.target)} ${escapeHTML(node.data)}?&gt;</span>\n`;
+
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Render an element with its tags and children
+     */
+    function renderElement(node) {
+        const name = escapeHTML(node.nodeName);
+        const attributes = Array.from(node.attributes).map(attr =>
+            ` <span class="xml-attr">${escapeHTML(attr.name)}</span>=<span class="xml-value">"${escapeHTML(attr.value)}"</span>`
+        ).join('');
+
+        const nodeId = QZHParser.getNodeId(node);
+
+        if (!node.hasChildNodes()) {
+            return `<span class="xml-element" data-node-id="${nodeId}"><span class="xml-start">&lt;<span class="xml-name">${name}</span>${attributes}/&gt;</span></span>`;
+        }
+
+        const collapsible = node.children.length > 0;
+        const collapsed = collapsible && COLLAPSED_BY_DEFAULT.includes(node.localName);
+        const toggle = collapsible
+            ? `<button type="button" class="xml-toggle" aria-expanded="${!collapsed}" aria-label="Ein- oder ausklappen"></button>`
+            : '';
+
+        return `<span class="xml-element${collapsed ? ' collapsed' : ''}" data-node-id="${nodeId}">` +
+            `${toggle}<span class="xml-start">&lt;<span class="xml-name">${name}</span>${attributes}&gt;</span>` +
+            `<span class="xml-children">${Array.from(node.childNodes).map(renderNode).join('')}</span>` +
+            '<span class="xml-ellipsis">…</span>' +
+            `<span class="xml-end">&lt;/<span class="xml-name">${name}</span>&gt;</span></span>`;
+    }
+
+    /**
+     * Show the source of an element in the XML tab
+     */
+    function reveal(nodeId) {
+        QZHApp.selectTab('xml');
+        update(true);
+
+        const element = sourceEl.querySelector(`.xml-element[data-node-id="${nodeId}"]`);
+        if (!element) return false;
+
+        // Expand collapsed ancestors
+        let parent = element.parentElement.closest('.xml-element.collapsed');
+        while (parent) {
+            parent.classList.remove('collapsed');
+            const toggle = parent.querySelector(':scope > .xml-toggle');
+            if (toggle) {
+                toggle.setAttribute('aria-expanded', 'true');
+            }
+            parent = parent.parentElement.closest('.xml-element.collapsed');
+        }
+
+        sourceEl.querySelectorAll('.xml-target').forEach(el => el.classList.remove('xml-target'));
+        element.classList.add('xml-target');
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        return true;
+    }
+
+    /**
+     * Escape HTML
+     */
+    function escapeHTML(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Public API
+    return {
+        init: init,
+        update: update,
+        reveal: reveal
+    };
+})();
+
+// Initialize on DOM ready
+document.addEventListener('DOMContentLoaded', function() {
+    QZHSource.init();
+});
@@ -0,0 +1,139 @@
+/**
+ * QZH Split View
+ * Shows the normalized text next to the diplomatic one. Both columns
+ * scroll independently and are kept in sync through their aligned blocks
+ * (p, seg, ab, head), matched by data-node-id.
+ */
+
+const QZHSplit = (function() {
+    'use strict';
+
+    // Rendered blocks that exist in both modes
+    const BLOCK_SELECTOR = '.tei-p[data-node-id], .tei-seg[data-node-id], .tei-ab[data-node-id], [class^="tei-head"][data-node-id]';
+
+    let columnsEl = null;
+    let primaryEl = null;
+    let secondaryEl = null;
+
+    // Column whose scroll event was caused by syncing, to avoid loops
+    let ignoreScroll = null;
+
+    /**
+     * Initialize split view
+     */
+    function init() {
+        columnsEl = document.getElementById('editionColumns');
+        primaryEl = document.getElementById('documentBody');
+        secondaryEl = document.getElementById('documentBodyNormalized');
+
+        if (!columnsEl || !primaryEl || !secondaryEl) {
+            return;
+        }
+
+        primaryEl.addEventListener('scroll', () => onScroll(primaryEl, secondaryEl));
+        secondaryEl.addEventListener('scroll', () => onScroll(secondaryEl, primaryEl));
+    }
+
+    /**
+     * Show the normalized result next to the diplomatic text,
+     * or leave split mode when called without a result. The columns keep
+     * their scroll position, e.g. while the document is edited.
+     */
+    function render(result) {
+        if (!columnsEl) return;
+
+        const active = Boolean(result);
+        columnsEl.classList.toggle('split', active);
+        secondaryEl.classList.toggle('hidden', !active);
+
+        if (!active) {
+            secondaryEl.innerHTML = '';
+            return;
+        }
+
+        secondaryEl.innerHTML = result.body || '<p class="no-content">Kein Inhalt vorhanden</p>';
+    }
+
+    /**
+     * Scroll both columns to the top, for another document
+     */
+    function resetScroll() {
+        if (!columnsEl) return;
+
+        primaryEl.scrollTop = 0;
+        secondaryEl.scrollTop = 0;
+    }
+
+    /**
+     * Whether split mode is shown
+     */
+    function isActive() {
+        return Boolean(columnsEl && columnsEl.classList.contains('split'));
+    }
+
+    /**
+     * Follow a scrolled column with the other one
+     */
+    function onScroll(source, target) {
+        if (!isActive()) return;
+
+        if (ignoreScroll === source) {
+            ignoreScroll = null;
+            return;
+        }
+
+        const anchor = findAnchor(source);
+        if (!anchor) return;
+
+        const counterpart = target.querySelector(`[data-node-id="${anchor.getAttribute('data-node-id')}"]`);
+        if (!counterpart) return;
+
+        // Keep the same relative position within the aligned block
+        const sourceTop = offsetWithin(source, anchor);
+        const ratio = anchor.offsetHeight > 0 ? (source.scrollTop - sourceTop) / anchor.offsetHeight : 0;
+        const scrollTop = Math.round(offsetWithin(target, counterpart) + ratio * counterpart.offsetHeight);
+
+        if (Math.abs(target.scrollTop - scrollTop) > 1) {
+            ignoreScroll = target;
+            target.scrollTop = scrollTop;
+        }
+    }
+
+    /**
+     * Innermost block at the top edge of a column
+     */
+    function findAnchor(column) {
+        const top = column.scrollTop;
+        let anchor = null;
+
+        for (const block of column.querySelectorAll(BLOCK_SELECTOR)) {
+            const blockTop = offsetWithin(column, block);
+            if (blockTop > top + 1) break;
+            if (blockTop + block.offsetHeight > top) {
+                anchor = block;
+            }
+        }
+
+        return anchor;
+    }
+
+    /**
+     * Offset of an element from the top of a column's content
+     */
+    function offsetWithin(column, el) {
+        return el.getBoundingClientRect().top - column.getBoundingClientRect().top + column.scrollTop;
+    }
+
+    // Public API
+    return {
+        init: init,
+        render: render,
+        resetScroll: resetScroll,
+        isActive: isActive
+    };
+})();
+
+// Initialize on DOM ready
+document.addEventListener('DOMContentLoaded', function() {
+    QZHSplit.init();
+});
@@ -1,6 +1,8 @@
 /**
  * QZH Tooltip System
- * Provides hover tooltips for semantic and text-critical elements
+ * Provides tooltips for semantic and text-critical elements. They open on
+ * hover, keyboard focus and tap, close with Escape, and are announced to
+ * screen readers through aria-describedby on the annotated element.
  */
 
 const QZHTooltips = (function() {
@@ -9,6 +11,7 @@ const QZHTooltips = (function() {
     let tooltipEl = null;
     let hideTimeout = null;
     let currentTarget = null;
+    let showFrame = null;
 
     /**
      * Initialize tooltip system
@@ -24,11 +27,33 @@ const QZHTooltips = (function() {
         // Event delegation for tooltip triggers
         document.addEventListener('mouseenter', handleMouseEnter, true);
         document.addEventListener('mouseleave', handleMouseLeave, true);
-        document.addEventListener('scroll', hideTooltip, true);
+        document.addEventListener('focusin', handleFocus);
+        document.addEventListener('focusout', handleMouseLeave);
+        document.addEventListener('scroll', function() {
+            // Keep the tooltip of a focused element, it is repositioned instead
+            if (currentTarget && currentTarget === document.activeElement) {
+                positionTooltip(currentTarget);
+            } else {
+                hideTooltip();
+            }
+        }, true);
         
-        // Hide on click elsewhere
+        // Tap toggles the tooltip, click elsewhere hides it
         document.addEventListener('click', function(e) {
-            if (!e.target.closest('.tooltip') && !e.target.hasAttribute('data-tooltip')) {
+            const target = e.target.closest('[data-tooltip]');
+            if (target && !e.target.closest('.tooltip')) {
+                if (target === currentTarget && tooltipEl.classList.contains('visible')) {
+                    hideTooltip();
+                } else {
+                    showFor(target);
+                }
+            } else if (!e.target.closest('.tooltip')) {
+                hideTooltip();
+            }
+        });
+        
+        document.addEventListener('keydown', function(e) {
+            if (e.key === 'Escape' && currentTarget) {
                 hideTooltip();
             }
         });
@@ -44,8 +69,27 @@ const QZHTooltips = (function() {
             return;
         }
 
+        showFor(target);
+    }
+
+    /**
+     * Handle keyboard focus on an annotated element
+     */
+    function handleFocus(e) {
+        const target = e.target;
+        
+        if (!target.hasAttribute || !target.hasAttribute('data-tooltip')) {
+            return;
+        }
+
+        showFor(target);
+    }
+
+    /**
+     * Show the tooltip of an annotated element
+     */
+    function showFor(target) {
         clearTimeout(hideTimeout);
-        currentTarget = target;
         
         const tooltipText = target.getAttribute('data-tooltip');
         const tooltipType = target.getAttribute('data-tooltip-type') || '';
@@ -54,7 +98,7 @@ const QZHTooltips = (function() {
             return;
         }
 
-        showTooltip(target, tooltipText, tooltipType);
+        showTooltip(target, tooltipText, tooltipType, target.getAttribute('data-ref') || '');
     }
 
     /**
@@ -74,8 +118,14 @@ const QZHTooltips = (function() {
     /**
      * Show tooltip
      */
-    function showTooltip(target, text, type) {
-        const content = formatTooltipContent(text, type);
+    function showTooltip(target, text, type, ref) {
+        if (currentTarget && currentTarget !== target) {
+            currentTarget.removeAttribute('aria-describedby');
+        }
+        currentTarget = target;
+        target.setAttribute('aria-describedby', tooltipEl.id);
+        
+        const content = formatTooltipContent(text, type, ref);
         tooltipEl.innerHTML = content;
         
         // Remove all type classes and add current
@@ -88,7 +138,8 @@ const QZHTooltips = (function() {
         positionTooltip(target);
         
         // Show with animation
-        requestAnimationFrame(() => {
+        cancelAnimationFrame(showFrame);
+        showFrame = requestAnimationFrame(() => {
             tooltipEl.classList.add('visible');
         });
     }
@@ -97,16 +148,21 @@ const QZHTooltips = (function() {
      * Hide tooltip
      */
     function hideTooltip() {
+        cancelAnimationFrame(showFrame);
         if (tooltipEl) {
             tooltipEl.classList.remove('visible');
         }
+        if (currentTarget) {
+            currentTarget.removeAttribute('aria-describedby');
+        }
         currentTarget = null;
     }
 
     /**
-     * Format tooltip content based on type
+     * Format tooltip content based on type.
+     * Refs found in a loaded authority file are shown with their normalized name and details.
      */
-    function formatTooltipContent(text, type) {
+    function formatTooltipContent(text, type, ref) {
         const typeLabels = {
             'person': 'Person',
             'place': 'Ort',
@@ -129,7 +185,12 @@ const QZHTooltips = (function() {
         const label = typeLabels[type] || '';
         
         // Split text if it contains '|' separator (from semantic elements)
-        const parts = text.split(' | ');
+        let parts = text.split(' | ');
+        
+        const entry = ref && typeof QZHAuthority !== 'undefined' ? QZHAuthority.lookup(ref) : null;
+        if (entry && entry.name) {
+            parts = [entry.name, ...QZHAuthority.describe(entry), ...parts.slice(1)];
+        }
         
         let html = '';
         
@@ -217,7 +278,8 @@ const QZHTooltips = (function() {
     return {
         init: init,
         show: showTooltip,
-        hide: hideTooltip
+        hide: hideTooltip,
+        format: formatTooltipContent
     };
 })();
 
@@ -0,0 +1,324 @@
+/**
+ * QZH Validation
+ * Checks loaded documents against editorial guidelines (SSRQ-like default
+ * rules) and lists the warnings with links to the rendered text.
+ * Runs locally, no schema download.
+ */
+
+const QZHValidation = (function() {
+    'use strict';
+
+    const STORAGE_KEY = 'qzh-validation-disabled';
+
+    const SEVERITY_LABELS = {
+        'error': 'Fehler',
+        'warning': 'Warnung',
+        'info': 'Hinweis'
+    };
+
+    /**
+     * Default rule set. A rule's check(xmlDoc, result) returns a list of
+     * { node, message } for the elements it flags (node may be null).
+     */
+    const DEFAULT_RULES = [
+        {
+            id: 'series-idno',
+            label: 'seriesStmt/idno vorhanden',
+            severity: 'error',
+            check(xmlDoc) {
+                if (xmlDoc.querySelector('seriesStmt idno')) return [];
+                return [{ node: xmlDoc.querySelector('seriesStmt'), message: 'Kein seriesStmt/idno (Stücknummer) vorhanden' }];
+            }
+        },
+        {
+            id: 'unhandled-element',
+            label: 'Elemente ohne Darstellungsregel',
+            severity: 'warning',
+            check(xmlDoc, result) {
+                return (result.unhandled || []).map(item => ({
+                    node: QZHParser.findNodeById(xmlDoc, item.nodeId),
+                    message: `<${item.name}> wird nicht dargestellt (keine Regel)`
+                }));
+            }
+        },
+        {
+            id: 'entity-ref',
+            label: 'persName/placeName mit @ref',
+            severity: 'warning',
+            check(xmlDoc) {
+                return textElements(xmlDoc, 'persName, placeName')
+                    .filter(node => !node.getAttribute('ref'))
+                    .map(node => ({ node, message: `<${node.localName}> «${snippet(node)}» ohne @ref` }));
+            }
+        },
+        {
+            id: 'pb-n',
+            label: 'pb mit @n',
+            severity: 'warning',
+            check(xmlDoc) {
+                return textElements(xmlDoc, 'pb')
+                    .filter(node => !node.getAttribute('n'))
+                    .map(node => ({ node, message: '<pb> ohne @n (Seitenzahl)' }));
+            }
+        },
+        {
+            id: 'choice-complete',
+            label: 'choice mit beiden Teilen',
+            severity: 'warning',
+            check(xmlDoc) {
+                const pairs = [['abbr', 'expan'], ['sic', 'corr'], ['orig', 'reg']];
+                const issues = [];
+                for (const node of textElements(xmlDoc, 'choice')) {
+                    const names = Array.from(node.children).map(child => child.localName);
+                    const complete = pairs.some(([a, b]) => names.includes(a) && names.includes(b));
+                    if (!complete) {
+                        issues.push({
+                            node,
+                            message: `<choice> «${snippet(node)}» unvollständig (enthält: ${names.join(', ') || 'nichts'})`
+                        });
+                    }
+                }
+                return issues;
+            }
+        },
+        {
+            id: 'respstmt-filled',
+            label: 'respStmt mit Person und Rolle',
+            severity: 'warning',
+            check(xmlDoc) {
+                return Array.from(xmlDoc.querySelectorAll('respStmt'))
+                    .filter(node => {
+                        const name = node.querySelector('persName, name, orgName');
+                        const resp = node.querySelector('resp');
+                        const hasName = name && name.textContent.trim();
+                        const hasResp = resp && (resp.textContent.trim() || resp.getAttribute('key'));
+                        return !hasName || !hasResp;
+                    })
+                    .map(node => ({ node, message: '<respStmt> ohne Person oder Rolle' }));
+            }
+        }
+    ];
+
+    let rules = DEFAULT_RULES.slice();
+    let disabled = loadDisabled();
+
+    let reportEl = null;
+    let badgeEl = null;
+
+    // Last validated document, to re-run when rules are toggled
+    let lastXmlDoc = null;
+    let lastResult = null;
+
+    /**
+     * Initialize validation panel
+     */
+    function init() {
+        reportEl = document.getElementById('validationReport');
+        badgeEl = document.getElementById('validationBadge');
+
+        if (!reportEl) {
+            return;
+        }
+
+        reportEl.addEventListener('click', function(e) {
+            const link = e.target.closest('.qzh-validation-link');
+            if (link) {
+                e.preventDefault();
+                QZHApp.revealNode(parseInt(link.getAttribute('data-node-id'), 10));
+            }
+        });
+
+        reportEl.addEventListener('change', function(e) {
+            const checkbox = e.target.closest('.qzh-validation-rule-toggle');
+            if (!checkbox) return;
+
+            const id = checkbox.getAttribute('data-rule');
+            if (checkbox.checked) {
+                disabled.delete(id);
+            } else {
+                disabled.add(id);
+            }
+            saveDisabled();
+
+            if (lastXmlDoc) {
+                render(lastXmlDoc, lastResult);
+            }
+        });
+    }
+
+    /**
+     * Configure the rule set.
+     * options.rules: additional or replacing rules (same id replaces)
+     * options.disabled: ids of rules to switch off
+     * options.replace: true to drop the default rules
+     */
+    function configure(options = {}) {
+        if (options.replace) {
+            rules = [];
+        }
+        for (const rule of options.rules || []) {
+            rules = rules.filter(r => r.id !== rule.id);
+            rules.push(rule);
+        }
+        if (options.disabled) {
+            disabled = new Set(options.disabled);
+            saveDisabled();
+        }
+    }
+
+    /**
+     * Run all enabled rules on a document
+     */
+    function validate(xmlDoc, result) {
+        const issues = [];
+        for (const rule of rules) {
+            if (disabled.has(rule.id)) continue;
+
+            let found;
+            try {
+                found = rule.check(xmlDoc, result) || [];
+            } catch (err) {
+                found = [{ node: null, message: `Regel konnte nicht ausgeführt werden: ${err.message}` }];
+            }
+
+            for (const item of found) {
+                issues.push({
+                    ruleId: rule.id,
+                    severity: rule.severity || 'warning',
+                    message: item.message,
+                    nodeId: item.node ? QZHParser.getNodeId(item.node) : 0
+                });
+            }
+        }
+        return issues;
+    }
+
+    /**
+     * Validate a document and render the report
+     */
+    function render(xmlDoc, result) {
+        if (!reportEl) return;
+
+        lastXmlDoc = xmlDoc;
+        lastResult = result;
+
+        const issues = validate(xmlDoc, result);
+
+        if (badgeEl) {
+            badgeEl.textContent = issues.length > 0 ? issues.length : '';
+            badgeEl.classList.toggle('has-errors', issues.some(i => i.severity === 'error'));
+        }
+
+        let html = '';
+        if (issues.length === 0) {
+            html += '<p class="no-content">Keine Auffälligkeiten gefunden</p>';
+        } else {
+            for (const rule of rules) {
+                const ruleIssues = issues.filter(i => i.ruleId === rule.id);
+                if (ruleIssues.length === 0) continue;
+
+                html += `
+                    <div class="qzh-validation-group">
+                        <h3 class="qzh-validation-rule">${escapeHTML(rule.label)} <span class="qzh-validation-count">${ruleIssues.length}</span></h3>
+                        <ul class="qzh-validation-list">
+                            ${ruleIssues.map(renderIssue).join('')}
+                        </ul>
+                    </div>
+                `;
+            }
+        }
+
+        html += renderSettings();
+        reportEl.innerHTML = html;
+    }
+
+    /**
+     * Render a single issue
+     */
+    function renderIssue(issue) {
+        const severity = `<span class="qzh-validation-severity ${issue.severity}">${escapeHTML(SEVERITY_LABELS[issue.severity] || issue.severity)}</span>`;
+        const message = escapeHTML(issue.message);
+        const location = QZHApp.findRendered(issue.nodeId)
+            ? `<a href="#" class="qzh-validation-link" data-node-id="${issue.nodeId}">im Text zeigen</a>`
+            : '<span class="qzh-validation-location">Kopfdaten</span>';
+
+        return `<li class="qzh-validation-issue ${issue.severity}">${severity} ${message} ${location}</li>`;
+    }
+
+    /**
+     * Render rule toggles
+     */
+    function renderSettings() {
+        return `
+            <details class="qzh-validation-settings">
+                <summary>Regeln</summary>
+                ${rules.map(rule => `
+                    <label class="qzh-validation-setting">
+                        <input type="checkbox" class="qzh-validation-rule-toggle" data-rule="${escapeHTML(rule.id)}" ${disabled.has(rule.id) ? '' : 'checked'}>
+                        ${escapeHTML(rule.label)}
+                    </label>
+                `).join('')}
+            </details>
+        `;
+    }
+
+    /**
+     * Elements outside the teiHeader
+     */
+    function textElements(xmlDoc, selector) {
+        return Array.from(xmlDoc.querySelectorAll(selector)).filter(node => !node.closest('teiHeader'));
+    }
+
+    /**
+     * Short text excerpt of an element
+     */
+    function snippet(node) {
+        const text = node.textContent.replace(/\s+/g, ' ').trim();
+        return text.length > 40 ? text.substring(0, 40) + '…' : text;
+    }
+
+    /**
+     * Load disabled rule ids from local storage
+     */
+    function loadDisabled() {
+        try {
+            return new Set(JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]'));
+        } catch (err) {
+            return new Set();
+        }
+    }
+
+    /**
+     * Save disabled rule ids to local storage
+     */
+    function saveDisabled() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(Array.from(disabled)));
+        } catch (err) {
+            // Storage unavailable (private mode), settings last for the session
+        }
+    }
+
+    /**
+     * Escape HTML
+     */
+    function escapeHTML(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Public API
+    return {
+        init: init,
+        configure: configure,
+        validate: validate,
+        render: render,
+        defaultRules: DEFAULT_RULES
+    };
+})();
+
+// Initialize on DOM ready
+document.addEventListener('DOMContentLoaded', function() {
+    QZHValidation.init();
+});
@@ -0,0 +1,65 @@
+/**
+ * Tests of the authority file detection, run in a window with the
+ * authority module
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const QZHParser = require('../js/parser.js');
+
+const ROOT = path.join(__dirname, '..');
+
+const { window } = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', { runScripts: 'dangerously' });
+const script = window.document.createElement('script');
+script.textContent = fs.readFileSync(path.join(ROOT, 'js', 'authority.js'), 'utf8');
+window.document.head.appendChild(script);
+const QZHAuthority = window.eval('QZHAuthority');
+
+QZHParser.useDOM(window);
+
+const PERSONS = '<listPerson><person xml:id="GND_1"><persName>Hans Escher</persName></person></listPerson>';
+
+/**
+ * TEI document with the given markup after the header
+ */
+function parseTEI(markup) {
+    return QZHParser.parse(`<TEI xmlns="http://www.tei-c.org/ns/1.0"><teiHeader/>${markup}</TEI>`);
+}
+
+test.describe('isAuthorityDocument', () => {
+    test.it('accepts lists in standOff', () => {
+        assert.strictEqual(QZHAuthority.isAuthorityDocument(parseTEI(`<standOff>${PERSONS}</standOff>`)), true);
+    });
+
+    test.it('accepts lists in text/body with headings', () => {
+        const xmlDoc = parseTEI(`<text><body><div><head>Personen</head>${PERSONS}</div></body></text>`);
+        assert.strictEqual(QZHAuthority.isAuthorityDocument(xmlDoc), true);
+    });
+
+    test.it('rejects documents with edition text', () => {
+        const xmlDoc = parseTEI(`<standOff>${PERSONS}</standOff><text><body><p>Item Hans Escher</p></body></text>`);
+        assert.strictEqual(QZHAuthority.isAuthorityDocument(xmlDoc), false);
+
+        const sample = QZHParser.parse(fs.readFileSync(path.join(ROOT, 'sample', 'sample.xml'), 'utf8'));
+        assert.strictEqual(QZHAuthority.isAuthorityDocument(sample), false);
+    });
+
+    test.it('rejects documents without lists', () => {
+        assert.strictEqual(QZHAuthority.isAuthorityDocument(parseTEI('<text><body><div/></body></text>')), false);
+    });
+});
+
+test.describe('loadDocument', () => {
+    test.it('loads the entries of a parsed authority file', () => {
+        QZHAuthority.clear();
+        assert.strictEqual(QZHAuthority.loadDocument(parseTEI(`<standOff>${PERSONS}</standOff>`), 'persons.xml'), 1);
+        assert.ok(QZHAuthority.lookup('GND_1'));
+        assert.strictEqual(QZHAuthority.getSources().map(s => s.filename).join(), 'persons.xml');
+    });
+});
@@ -0,0 +1,111 @@
+/**
+ * Unit tests of the formatting helpers of the parser
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const QZHParser = require('../js/parser.js');
+
+test.describe('formatDate', () => {
+    test.it('formats full dates in German', () => {
+        assert.strictEqual(QZHParser.formatDate('1518-09-15'), '15. September 1518');
+        assert.strictEqual(QZHParser.formatDate('1520-03-01'), '1. März 1520');
+    });
+
+    test.it('formats month and year', () => {
+        assert.strictEqual(QZHParser.formatDate('1518-09'), 'September 1518');
+    });
+
+    test.it('keeps years and other values as they are', () => {
+        assert.strictEqual(QZHParser.formatDate('1518'), '1518');
+        assert.strictEqual(QZHParser.formatDate(''), '');
+        assert.strictEqual(QZHParser.formatDate(null), '');
+    });
+});
+
+test.describe('formatIsoDuration', () => {
+    test.it('formats durations with singular and plural units', () => {
+        assert.strictEqual(QZHParser.formatIsoDuration('P1Y'), '1 Jahr');
+        assert.strictEqual(QZHParser.formatIsoDuration('P2Y6M'), '2 Jahre 6 Monate');
+        assert.strictEqual(QZHParser.formatIsoDuration('P3W1D'), '3 Wochen 1 Tag');
+        assert.strictEqual(QZHParser.formatIsoDuration('PT1H30M5S'), '1 Stunde 30 Minuten 5 Sekunden');
+    });
+
+    test.it('formats repetitions', () => {
+        assert.strictEqual(QZHParser.formatIsoDuration('R3/P1W'), '3× wiederholt (1 Woche)');
+        assert.strictEqual(QZHParser.formatIsoDuration('R/P1D'), 'wiederholt (1 Tag)');
+    });
+
+    test.it('keeps invalid and empty durations', () => {
+        assert.strictEqual(QZHParser.formatIsoDuration('two weeks'), 'two weeks');
+        assert.strictEqual(QZHParser.formatIsoDuration('P'), 'P');
+        assert.strictEqual(QZHParser.formatIsoDuration(''), '');
+    });
+});
+
+test.describe('getRenditionClass', () => {
+    test.it('maps renditions to classes', () => {
+        assert.strictEqual(QZHParser.getRenditionClass('sup'), 'simple_superscript');
+        assert.strictEqual(QZHParser.getRenditionClass('Italic'), 'simple_italic');
+        assert.strictEqual(QZHParser.getRenditionClass('small_caps'), 'simple_smallcaps');
+        assert.strictEqual(QZHParser.getRenditionClass('gesperrt'), 'simple_letterspace');
+    });
+
+    test.it('combines several renditions without duplicates', () => {
+        assert.strictEqual(QZHParser.getRenditionClass('bold underline bold'), 'simple_bold simple_underline');
+    });
+
+    test.it('accepts simple: renditions', () => {
+        assert.strictEqual(QZHParser.getRenditionClass('simple:italic'), 'simple_italic');
+        assert.strictEqual(QZHParser.getRenditionClass('simple-bold'), 'simple_bold');
+    });
+
+    test.it('falls back to tei-hi', () => {
+        assert.strictEqual(QZHParser.getRenditionClass(''), 'tei-hi');
+        assert.strictEqual(QZHParser.getRenditionClass('unknown'), 'tei-hi');
+    });
+});
+
+test.describe('deduplicateEntities', () => {
+    test.it('merges entities with the same ref and keeps other names as variants', () => {
+        const entities = QZHParser.deduplicateEntities([
+            { name: 'Hans Meyer', ref: 'per1', role: '' },
+            { name: 'Hanns Meyer', ref: 'per1', role: '' },
+            { name: 'Hans Meyer', ref: 'per1', role: '' }
+        ]);
+        assert.deepStrictEqual(entities, [
+            { name: 'Hans Meyer', ref: 'per1', role: '', variants: ['Hanns Meyer'], count: 3 }
+        ]);
+    });
+
+    test.it('merges entities without ref by name', () => {
+        const entities = QZHParser.deduplicateEntities([
+            { name: 'Zürich', ref: '', role: '' },
+            { name: 'Zürich', ref: '', role: '' }
+        ]);
+        assert.strictEqual(entities.length, 1);
+        assert.strictEqual(entities[0].count, 2);
+    });
+
+    test.it('counts only occurrences in the edition text', () => {
+        const entities = QZHParser.deduplicateEntities([
+            { name: 'Zürich', ref: 'loc1', role: '', inEdition: false },
+            { name: 'Zürich', ref: 'loc1', role: '', inEdition: true }
+        ]);
+        assert.deepStrictEqual(entities, [
+            { name: 'Zürich', ref: 'loc1', role: '', variants: [], count: 1 }
+        ]);
+    });
+
+    test.it('sorts by name in German order', () => {
+        const names = QZHParser.deduplicateEntities([
+            { name: 'Zürich', ref: 'a', role: '' },
+            { name: 'Ämter', ref: 'b', role: '' },
+            { name: 'Baden', ref: 'c', role: '' }
+        ]).map(entity => entity.name);
+        assert.deepStrictEqual(names, ['Ämter', 'Baden', 'Zürich']);
+    });
+});
@@ -0,0 +1,124 @@
+/**
+ * Tests of the text, Markdown and CSV exports, run on sample.xml in a
+ * window with the formats module
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const QZHParser = require('../js/parser.js');
+
+const ROOT = path.join(__dirname, '..');
+
+const { window } = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', { runScripts: 'dangerously' });
+const script = window.document.createElement('script');
+script.textContent = fs.readFileSync(path.join(ROOT, 'js', 'formats.js'), 'utf8');
+window.document.head.appendChild(script);
+const QZHFormats = window.eval('QZHFormats');
+
+QZHParser.useDOM(window);
+const xmlDoc = QZHParser.parse(fs.readFileSync(path.join(ROOT, 'sample', 'sample.xml'), 'utf8'));
+const result = QZHParser.transform(xmlDoc);
+
+test.describe('toText', () => {
+    const text = QZHFormats.toText(result, 'sample');
+
+    test.it('starts with number, title and date', () => {
+        assert.ok(text.startsWith('QZH_SAMPLE – Kundschaften über gotteslästerliche Vorfälle\nSeptember 1518\n'));
+    });
+
+    test.it('keeps the lines of the diplomatic text and writes out marks', () => {
+        assert.match(text, /\nHanns Pfister von Meilen, d, wie das an Meilener Kilbi\nsei gewesen/);
+        assert.match(text, /\\nach dem Essen\//);
+        assert.match(text, /«Potz ⟦Himmel⟧ Hölle!»/);
+    });
+
+    test.it('lists the footnotes as endnotes', () => {
+        assert.match(text, /zu erscheinen\.\[1\]/);
+        assert.match(text, /\nAnmerkungen\n\n\[1\] Diese Notiz/);
+    });
+
+    test.it('joins the lines of the normalized text', () => {
+        const normalized = QZHFormats.toText(QZHParser.transform(xmlDoc, { normalized: true }), 'sample');
+        assert.match(normalized, /Meilener Kilbi sei gewesen/);
+    });
+
+    test.it('names documents without idno by the fallback id', () => {
+        const untitled = Object.assign({}, result, { heading: { title: 'Ohne Signatur' } });
+        assert.ok(QZHFormats.toText(untitled, 'QZH 7').startsWith('QZH 7 – Ohne Signatur\n'));
+    });
+});
+
+test.describe('toMarkdown', () => {
+    const markdown = QZHFormats.toMarkdown(result, 'sample');
+
+    test.it('escapes Markdown characters and marks line breaks', () => {
+        assert.ok(markdown.startsWith('# QZH\\_SAMPLE – '));
+        assert.match(markdown, /\n\\\[S\. 1\\\]\n/);
+        assert.match(markdown, /Meilener Kilbi \\\nsei gewesen/);
+    });
+
+    test.it('writes footnotes as Markdown footnotes', () => {
+        assert.match(markdown, /zu erscheinen\.\[\^1\]/);
+        assert.match(markdown, /\n\[\^1\]: Diese Notiz/);
+    });
+});
+
+test.describe('toRegisterCSV', () => {
+    const rows = QZHFormats.toRegisterCSV(result).replace(/^\ufeff/, '').trim().split('\r\n');
+
+    test.it('has a header and one row per register entry', () => {
+        const registers = result.registers;
+        const entries = registers.persons.length + registers.places.length + registers.organizations.length + registers.terms.length;
+        assert.strictEqual(rows[0], 'Register,Ref,Name,Rolle,Varianten,Anzahl');
+        assert.strictEqual(rows.length, entries + 1);
+    });
+
+    test.it('counts occurrences with variants', () => {
+        assert.ok(rows.includes('Person,PER_002,Ueli Imers,,Imer,2'));
+    });
+});
+
+test.describe('toMetadataJSON', () => {
+    test.it('writes the Stückbeschreibung', () => {
+        assert.deepStrictEqual(JSON.parse(QZHFormats.toMetadataJSON(result)), result.metadata);
+    });
+});
+
+test.describe('linked data', () => {
+    const gndDoc = QZHParser.parse(fs.readFileSync(path.join(ROOT, 'sample', 'QZH_015.xml'), 'utf8'));
+    const gndResult = QZHParser.transform(gndDoc);
+
+    test.it('describes the document in JSON-LD', () => {
+        const data = JSON.parse(QZHFormats.toJSONLD(result, 'sample'));
+        assert.strictEqual(data['@context'].schema, 'https://schema.org/');
+        assert.strictEqual(data['@id'], 'urn:qzh:document:QZH_SAMPLE');
+        assert.deepStrictEqual(data['schema:dateCreated'], { '@value': '1518-09', '@type': 'xsd:gYearMonth' });
+    });
+
+    test.it('mentions entities by URI', () => {
+        const mentions = JSON.parse(QZHFormats.toJSONLD(gndResult, 'QZH 15'))['schema:mentions'];
+        const ids = mentions.map(entity => entity['@id']);
+        assert.ok(ids.includes('https://d-nb.info/gnd/1089574681'));
+        assert.ok(ids.some(id => /^geo:-?[\d.]+,-?[\d.]+$/.test(id)));
+        assert.ok(ids.every(id => !id || !id.includes('GND_')));
+    });
+
+    test.it('writes the same graph as Turtle', () => {
+        const turtle = QZHFormats.toTurtle(gndResult, 'QZH 15');
+        assert.match(turtle, /^@prefix schema: <https:\/\/schema\.org\/> \.\n/);
+        assert.match(turtle, /\n<urn:qzh:document:QZH_015> a schema:ArchiveComponent, crm:E31_Document ;\n/);
+        assert.match(turtle, /\n {4}schema:mentions <https:\/\/d-nb\.info\/gnd\/1089574681> ;\n/);
+        assert.match(turtle, /\n<https:\/\/d-nb\.info\/gnd\/1089574681> a schema:Person, crm:E21_Person ;\n {4}schema:name "Bürkli" \.\n/);
+    });
+
+    test.it('escapes quotes in Turtle literals', () => {
+        const quoted = Object.assign({}, result, { heading: { idno: 'Q 1', title: '' }, metadata: { title: 'Ein "Titel" \\ mit Zeichen' } });
+        assert.match(QZHFormats.toTurtle(quoted, 'q'), /schema:name "Ein \\"Titel\\" \\\\ mit Zeichen" ;/);
+    });
+});
@@ -0,0 +1,88 @@
+/**
+ * Golden-file tests: every TEI file in sample/ is transformed in
+ * diplomatic and normalized mode and compared with the committed
+ * snapshots in test/snapshots. After an intended change of the output,
+ * update them with `npm run test:update` and review the diff.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const QZHParser = require('../js/parser.js');
+
+const SAMPLE_DIR = path.join(__dirname, '..', 'sample');
+const SNAPSHOT_DIR = path.join(__dirname, 'snapshots');
+const UPDATE = Boolean(process.env.UPDATE_SNAPSHOTS);
+
+QZHParser.useDOM(new JSDOM('').window);
+
+/**
+ * HTML parts of a transform result, one section per part
+ */
+function renderHTML(result) {
+    const parts = [
+        ['summary', result.summary],
+        ['body', result.body],
+        ['back', result.back]
+    ];
+    for (const fn of result.footnotes) {
+        parts.push([`footnote ${fn.key}`, fn.content]);
+    }
+    for (const entry of result.apparatus) {
+        parts.push([`apparatus ${entry.key} (${entry.lemma})`, entry.content]);
+    }
+    return parts.map(([name, html]) => `<!-- ${name} -->\n${html || ''}\n`).join('');
+}
+
+/**
+ * Data parts of a transform result, independent of the mode
+ */
+function renderData(result) {
+    return JSON.stringify({
+        metadata: result.metadata,
+        heading: result.heading,
+        texts: result.texts,
+        registers: result.registers,
+        unhandled: result.unhandled
+    }, null, 2) + '\n';
+}
+
+/**
+ * Compare with a snapshot file, or write it when updating
+ */
+function matchSnapshot(name, actual) {
+    const file = path.join(SNAPSHOT_DIR, name);
+    if (UPDATE) {
+        fs.writeFileSync(file, actual);
+        return;
+    }
+    assert.ok(fs.existsSync(file), `Snapshot ${name} is missing, run npm run test:update`);
+    assert.strictEqual(actual, fs.readFileSync(file, 'utf8'), `Output differs from snapshot ${name}`);
+}
+
+const samples = fs.readdirSync(SAMPLE_DIR).filter(name => name.endsWith('.xml')).sort();
+
+for (const sample of samples) {
+    const base = sample.replace(/\.xml$/, '');
+
+    test.describe(sample, () => {
+        const xmlDoc = QZHParser.parse(fs.readFileSync(path.join(SAMPLE_DIR, sample), 'utf8'));
+
+        test.it('diplomatic text', () => {
+            matchSnapshot(`${base}.diplomatic.html`, renderHTML(QZHParser.transform(xmlDoc)));
+        });
+
+        test.it('normalized text', () => {
+            matchSnapshot(`${base}.normalized.html`, renderHTML(QZHParser.transform(xmlDoc, { normalized: true })));
+        });
+
+        test.it('metadata and registers', () => {
+            matchSnapshot(`${base}.json`, renderData(QZHParser.transform(xmlDoc)));
+        });
+    });
+}
@@ -0,0 +1,119 @@
+/**
+ * Regression tests of the transform on small inline TEI documents
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { JSDOM } = require('jsdom');
+
+const QZHParser = require('../js/parser.js');
+
+QZHParser.useDOM(new JSDOM('').window);
+
+/**
+ * TEI document with the given markup as edition text
+ */
+function parseBody(markup) {
+    return QZHParser.parse(`<TEI xmlns="http://www.tei-c.org/ns/1.0">
+        <teiHeader><fileDesc><titleStmt><title>Test</title></titleStmt></fileDesc></teiHeader>
+        <text><body><div><p>${markup}</p></div></body></text>
+    </TEI>`);
+}
+
+/**
+ * Apparatus references of a transformed body, in order
+ */
+function apparatusRefs(html) {
+    return Array.from(html.matchAll(/data-apparatus="([^"]*)"/g), match => match[1]);
+}
+
+test.describe('choice', () => {
+    const xmlDoc = parseBody('<choice><sic>Zürck</sic><corr>Zürich</corr></choice> und <sic>Bern</sic>');
+
+    for (const normalized of [false, true]) {
+        test.it(`adds one referenced apparatus note per sic/corr pair (${normalized ? 'normalized' : 'diplomatic'})`, () => {
+            const result = QZHParser.transform(xmlDoc, { normalized });
+            assert.deepStrictEqual(result.apparatus.map(entry => entry.letter), ['a', 'b']);
+            assert.deepStrictEqual(apparatusRefs(result.body), ['a', 'b']);
+        });
+    }
+});
+
+test.describe('line numbers', () => {
+    const xmlDoc = parseBody('a<lb/>b <choice><abbr>x<lb/>y</abbr><expan>xy</expan></choice>' +
+        '<lb/>c <app><lem>L</lem><rdg wit="#B">R<lb/>S</rdg></app><lb/>d');
+
+    for (const normalized of [false, true]) {
+        test.it(`count line breaks of the shown reading only (${normalized ? 'normalized' : 'diplomatic'})`, () => {
+            const { body } = QZHParser.transform(xmlDoc, { normalized });
+            const lines = Array.from(body.matchAll(/data-line="(\d+)"/g), match => Number(match[1]));
+            assert.deepStrictEqual(lines, [1, 2, 3, 4]);
+        });
+    }
+});
+
+test.describe('footnotes', () => {
+    test.it('link the references of notes and hand shifts to their footnotes', () => {
+        const xmlDoc = parseBody('Item<note>Randnotiz</note> <handShift new="#B"/>Hans');
+        const result = QZHParser.transform(xmlDoc);
+        const refs = Array.from(result.body.matchAll(/data-footnote="([^"]*)"/g), match => match[1]);
+        assert.deepStrictEqual(refs, result.footnotes.map(fn => fn.key));
+        assert.deepStrictEqual(refs, ['1', '2']);
+    });
+});
+
+test.describe('element handlers', () => {
+    const SSRQ = 'http://ssrq-sds-fds.ch/ns/nonTEI';
+    const xmlDoc = parseBody(`<persName ref="per1">Hans</persName> <ssrq:sig xmlns:ssrq="${SSRQ}">H</ssrq:sig>`);
+
+    test.it('add and override rules for one transform only', () => {
+        const custom = QZHParser.transform(xmlDoc, {
+            handlers: [
+                { name: 'persName', handler: (node, h) => `<b>${h.renderDefault()}</b>` },
+                { name: 'sig', namespace: SSRQ, handler: (node, h) => `<span class="ssrq-sig">${h.children}</span>` }
+            ]
+        });
+        assert.match(custom.body, /<b data-node-id="\d+"><span class="semantic person/);
+        assert.match(custom.body, /<span data-node-id="\d+" class="ssrq-sig">H<\/span>/);
+        assert.deepStrictEqual(custom.unhandled, []);
+
+        const plain = QZHParser.transform(xmlDoc);
+        assert.doesNotMatch(plain.body, /<b |ssrq-sig/);
+        assert.deepStrictEqual(plain.unhandled.map(element => element.name), ['ssrq:sig']);
+    });
+
+    test.it('reject handlers that are not functions', () => {
+        assert.throws(() => QZHParser.transform(xmlDoc, { handlers: [{ name: 'p', handler: 'p' }] }),
+            { name: 'TypeError', message: 'Handler for p is not a function' });
+    });
+});
+
+test.describe('node ids', () => {
+    const xmlDoc = parseBody('<persName ref="per1"><hi rend="italic">Hans</hi></persName> <choice><hi rend="bold">Meyer</hi></choice>');
+
+    test.it('stay on the child when a handler returns the children unwrapped', () => {
+        const { body } = QZHParser.transform(xmlDoc, {
+            handlers: [{ name: 'persName', handler: (node, h) => h.children }]
+        });
+        const tags = Array.from(body.matchAll(/<span [^>]*class="(simple_\w+)[^>]*>/g));
+        assert.strictEqual(tags.length, 2);
+        for (const [tag, className] of tags) {
+            const ids = Array.from(tag.matchAll(/data-node-id="(\d+)"/g), match => Number(match[1]));
+            assert.strictEqual(ids.length, 1);
+            const source = QZHParser.findNodeById(xmlDoc, ids[0]);
+            assert.strictEqual(source.localName, 'hi');
+            assert.strictEqual(QZHParser.getRenditionClass(source.getAttribute('rend')), className);
+        }
+    });
+});
+
+test.describe('unhandled elements', () => {
+    test.it('keep their children without a wrapper and are listed for validation', () => {
+        const xmlDoc = parseBody('Item <ssrq:sig xmlns:ssrq="http://ssrq-sds-fds.ch/ns/nonTEI">H<hi rend="italic">M</hi></ssrq:sig>');
+        const result = QZHParser.transform(xmlDoc);
+        assert.match(result.body, /<p data-node-id="\d+" class="tei-p">Item H<span data-node-id="\d+" class="simple_italic/);
+        assert.deepStrictEqual(result.unhandled.map(element => element.name), ['ssrq:sig']);
+    });
+});